@@ -0,0 +1,131 @@
+// Browser-local settings for Game Design Review
+// Stored under the same key the setup wizard uses, so both share one settings object.
+const SETTINGS_KEY = 'gameReviewSettings';
+const DEPLOYMENT_CONFIG_KEY = 'gameReviewDeploymentConfig';
+
+// Used when neither the workspace nor the deployment (see get-config) names a repository
+const DEFAULT_GITHUB_CONFIG = {
+    owner: 'Firudesu',
+    repo: 'Gamedesignreview',
+    branch: '',      // empty: the repository's default branch
+    basePath: 'data'
+};
+
+// A workspace is one place reviews are stored. Empty GitHub fields fall back
+// to the deployment's configuration.
+const DEFAULT_WORKSPACE = {
+    id: 'default',
+    name: 'Default',
+    storageBackend: 'github', // github, local or http
+    storageUrl: '',           // base URL for the http backend
+    owner: '',
+    repo: '',
+    branch: '',
+    basePath: ''
+};
+
+const DEFAULT_SETTINGS = {
+    workspaces: [DEFAULT_WORKSPACE],
+    activeWorkspace: DEFAULT_WORKSPACE.id
+};
+
+class AppSettings {
+    static load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+            const settings = { ...DEFAULT_SETTINGS, ...saved };
+
+            // Settings saved before workspaces kept one backend at the top level
+            if (!saved.workspaces) {
+                settings.workspaces = [{
+                    ...DEFAULT_WORKSPACE,
+                    storageBackend: saved.storageBackend || DEFAULT_WORKSPACE.storageBackend,
+                    storageUrl: saved.storageUrl || DEFAULT_WORKSPACE.storageUrl
+                }];
+                delete settings.storageBackend;
+                delete settings.storageUrl;
+            }
+            settings.workspaces = settings.workspaces.map(workspace => ({ ...DEFAULT_WORKSPACE, ...workspace }));
+            return settings;
+        } catch (error) {
+            console.error('Error reading settings, using defaults:', error);
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    static save(changes) {
+        const settings = { ...AppSettings.load(), ...changes };
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        return settings;
+    }
+
+    // The workspace the pages currently work in
+    static activeWorkspace(settings = AppSettings.load()) {
+        return settings.workspaces.find(workspace => workspace.id === settings.activeWorkspace) ||
+            settings.workspaces[0] ||
+            { ...DEFAULT_WORKSPACE };
+    }
+
+    static setActiveWorkspace(id) {
+        return AppSettings.save({ activeWorkspace: id });
+    }
+
+    // Add or replace a workspace (matched by id)
+    static saveWorkspace(workspace) {
+        const workspaces = AppSettings.load().workspaces;
+        const position = workspaces.findIndex(existing => existing.id === workspace.id);
+        if (position === -1) {
+            workspaces.push(workspace);
+        } else {
+            workspaces[position] = workspace;
+        }
+        return AppSettings.save({ workspaces });
+    }
+
+    // Remove a workspace; the last one can't be removed
+    static deleteWorkspace(id) {
+        const settings = AppSettings.load();
+        const workspaces = settings.workspaces.filter(workspace => workspace.id !== id);
+        if (workspaces.length === 0) {
+            return settings;
+        }
+        return AppSettings.save({
+            workspaces: workspaces,
+            activeWorkspace: settings.activeWorkspace === id ? workspaces[0].id : settings.activeWorkspace
+        });
+    }
+
+    // Deployment-wide GitHub defaults from the Netlify config function.
+    // The last answer is kept so pages opened offline still target the right repository.
+    static async deploymentConfig() {
+        if (!AppSettings.deploymentConfigPromise) {
+            AppSettings.deploymentConfigPromise = fetch('/.netlify/functions/get-config')
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                    return response.json();
+                })
+                .then(config => {
+                    const github = AppSettings.withoutEmpty(config.github || {});
+                    localStorage.setItem(DEPLOYMENT_CONFIG_KEY, JSON.stringify(github));
+                    return { ...DEFAULT_GITHUB_CONFIG, ...github };
+                })
+                .catch(error => {
+                    console.warn('Deployment config unavailable, using the last known or built-in defaults:', error);
+                    AppSettings.deploymentConfigPromise = null; // try again next time
+                    const cached = JSON.parse(localStorage.getItem(DEPLOYMENT_CONFIG_KEY) || '{}');
+                    return { ...DEFAULT_GITHUB_CONFIG, ...cached };
+                });
+        }
+        return AppSettings.deploymentConfigPromise;
+    }
+
+    static withoutEmpty(values) {
+        const result = {};
+        Object.entries(values).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+}
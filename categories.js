@@ -0,0 +1,61 @@
+// Task categories
+//
+// Each game lists the categories its tasks are filed under in `game.categories`:
+//   [{ id, name, icon, color, fields }]
+// `icon` is a Font Awesome icon and `fields` lists which of the optional task
+// fields (CATEGORY_FIELDS) apply: tasks in a category without `priority` have none.
+// Tasks are stored per category in `game.issues[id]`.
+
+// Icons offered by the category editor
+const CATEGORY_ICONS = [
+    'fa-bug', 'fa-gamepad', 'fa-scroll', 'fa-star', 'fa-paint-brush', 'fa-music',
+    'fa-tachometer-alt', 'fa-map', 'fa-book', 'fa-user', 'fa-cog', 'fa-lightbulb', 'fa-folder'
+];
+
+class Categories {
+    // The game's categories, plus any task list left without one (after a merge, say)
+    static of(game) {
+        const categories = (game && game.categories) || DEFAULT_CATEGORIES;
+        const orphans = Object.keys((game && game.issues) || {})
+            .filter(id => !categories.some(category => category.id === id))
+            .map(id => Categories.fallback(id));
+        return [...categories, ...orphans];
+    }
+
+    static fallback(id) {
+        return { id: id, name: id, icon: 'fa-folder', color: '#64748b', fields: [...CATEGORY_FIELDS] };
+    }
+
+    static get(game, id) {
+        return Categories.of(game).find(category => category.id === id) || Categories.fallback(id);
+    }
+
+    static hasField(game, id, field) {
+        return Categories.get(game, id).fields.includes(field);
+    }
+
+    // Where a task from a category that has since been removed is filed when it comes back
+    static resolve(game, id) {
+        const categories = Categories.of(game);
+        return categories.some(category => category.id === id) ? id : categories[0].id;
+    }
+
+    // Empty task lists, one per category
+    static emptyIssues(categories) {
+        const issues = {};
+        categories.forEach(category => {
+            issues[category.id] = [];
+        });
+        return issues;
+    }
+
+    // An id for a new category, from its name ("Level Design" -> "level-design")
+    static categoryId(name, categories) {
+        const base = name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'category';
+        let id = base;
+        for (let n = 2; categories.some(category => category.id === id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+}
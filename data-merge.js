@@ -0,0 +1,266 @@
+// Three-way merge for Game Design Review data documents
+//
+// Documents are merged structurally against the snapshot they were loaded from:
+// plain objects key by key, and arrays whose items carry an `id` (games, tasks,
+// comments, members) item by item. Only when both sides changed the same field
+// to different values is a conflict reported back to the caller.
+// A game's tasks are merged by id wherever they are filed, since one side may move
+// a task to another category or to the deleted tasks while the other edits it.
+class DataMerger {
+    static merge(base, local, remote) {
+        const conflicts = [];
+        const merged = DataMerger.mergeValue(
+            DataMerger.gatherTasks(base), DataMerger.gatherTasks(local), DataMerger.gatherTasks(remote), [], conflicts);
+        return { merged: DataMerger.fileTasks(merged), conflicts };
+    }
+
+    static isGame(document) {
+        return DataMerger.isPlainObject(document) && DataMerger.isPlainObject(document.issues);
+    }
+
+    // Copy of a game with all its tasks, active and deleted, in one `tasks` list.
+    // Active tasks take the category of the list they were filed in.
+    static gatherTasks(game) {
+        if (!DataMerger.isGame(game)) return game;
+
+        const issues = {};
+        const tasks = [];
+        Object.entries(game.issues).forEach(([category, list]) => {
+            issues[category] = [];
+            (list || []).forEach(task => tasks.push({ ...task, category }));
+        });
+        tasks.push(...(game.deletedTasks || []));
+        return { ...game, issues: issues, deletedTasks: [], tasks: tasks };
+    }
+
+    // Undo gatherTasks: file each task under its category, or with the deleted tasks
+    static fileTasks(game) {
+        if (!DataMerger.isGame(game) || !Array.isArray(game.tasks)) return game;
+
+        const issues = {};
+        Object.keys(game.issues).forEach(category => {
+            issues[category] = [];
+        });
+        const deletedTasks = [];
+        game.tasks.forEach(task => {
+            if (task.deletedAt || !task.category) {
+                deletedTasks.push(task);
+            } else {
+                issues[task.category] = issues[task.category] || [];
+                issues[task.category].push(task);
+            }
+        });
+
+        const filed = { ...game, issues: issues, deletedTasks: deletedTasks };
+        delete filed.tasks;
+        return filed;
+    }
+
+    static mergeValue(base, local, remote, path, conflicts) {
+        if (DataMerger.isEqual(local, remote)) return local;
+        if (DataMerger.isEqual(base, local)) return remote;
+        if (DataMerger.isEqual(base, remote)) return local;
+
+        if (DataMerger.isIdArray(local) && DataMerger.isIdArray(remote) &&
+            (base === undefined || DataMerger.isIdArray(base))) {
+            return DataMerger.mergeIdArrays(base || [], local, remote, path, conflicts);
+        }
+
+        if (DataMerger.isPlainObject(local) && DataMerger.isPlainObject(remote)) {
+            const baseObject = DataMerger.isPlainObject(base) ? base : {};
+            return DataMerger.mergeObjects(baseObject, local, remote, path, conflicts);
+        }
+
+        // Both sides changed the same field differently - keep ours until resolved
+        conflicts.push({ path, local, remote });
+        return local;
+    }
+
+    static mergeObjects(base, local, remote, path, conflicts) {
+        const result = {};
+        const keys = new Set([...Object.keys(remote), ...Object.keys(local)]);
+
+        keys.forEach(key => {
+            const value = DataMerger.mergeValue(base[key], local[key], remote[key], [...path, key], conflicts);
+            if (value !== undefined) {
+                result[key] = value;
+            }
+        });
+
+        return result;
+    }
+
+    static mergeIdArrays(base, local, remote, path, conflicts) {
+        const byId = items => new Map(items.map(item => [item.id, item]));
+        const baseById = byId(base);
+        const localById = byId(local);
+        const remoteById = byId(remote);
+
+        // Keep the remote ordering and append anything only we have added
+        const ids = [...remoteById.keys()];
+        localById.forEach((item, id) => {
+            if (!remoteById.has(id)) ids.push(id);
+        });
+
+        const result = [];
+        ids.forEach(id => {
+            const baseItem = baseById.get(id);
+            const localItem = localById.get(id);
+            const remoteItem = remoteById.get(id);
+
+            if (localItem && remoteItem) {
+                const segment = { id, label: DataMerger.describeItem(localItem) };
+                result.push(DataMerger.mergeValue(baseItem, localItem, remoteItem, [...path, segment], conflicts));
+            } else if (localItem) {
+                // Removed remotely: drop it unless we changed it since loading
+                if (!baseItem || !DataMerger.isEqual(baseItem, localItem)) result.push(localItem);
+            } else if (remoteItem) {
+                // Removed locally: drop it unless they changed it since we loaded
+                if (!baseItem || !DataMerger.isEqual(baseItem, remoteItem)) result.push(remoteItem);
+            }
+        });
+
+        return result;
+    }
+
+    // Apply the user's choices ('local' or 'remote', one per conflict) to a merged document
+    // Conflicts in a game's tasks have paths into its gathered `tasks` list (see merge).
+    static applyResolutions(merged, conflicts, choices) {
+        let document = DataMerger.gatherTasks(merged);
+        conflicts.forEach((conflict, index) => {
+            if (choices[index] === 'remote') {
+                document = DataMerger.setAtPath(document, conflict.path, conflict.remote);
+            }
+        });
+        return DataMerger.fileTasks(document);
+    }
+
+    static setAtPath(document, path, value) {
+        if (path.length === 0) return value;
+
+        let parent = document;
+        for (let i = 0; i < path.length - 1; i++) {
+            parent = DataMerger.step(parent, path[i]);
+        }
+
+        const last = path[path.length - 1];
+        if (typeof last === 'object') {
+            const index = parent.findIndex(item => item.id === last.id);
+            parent[index] = value;
+        } else if (value === undefined) {
+            delete parent[last];
+        } else {
+            parent[last] = value;
+        }
+        return document;
+    }
+
+    static step(container, segment) {
+        return typeof segment === 'object'
+            ? container.find(item => item.id === segment.id)
+            : container[segment];
+    }
+
+    static describePath(path) {
+        return path.map(segment => typeof segment === 'object' ? segment.label : segment).join(' › ') || 'Whole document';
+    }
+
+    static describeItem(item) {
+        const text = item.name || item.title || item.text || item.id;
+        return String(text).length > 40 ? `${String(text).substring(0, 40)}...` : String(text);
+    }
+
+    // An id for a new game, task, comment or member. Items are merged by id, so ids
+    // made by two people in the same millisecond must still differ.
+    static newId() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static isIdArray(value) {
+        return Array.isArray(value) && value.every(item => DataMerger.isPlainObject(item) && item.id !== undefined);
+    }
+
+    static isEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        if (Array.isArray(a)) {
+            return a.length === b.length && a.every((item, i) => DataMerger.isEqual(item, b[i]));
+        }
+
+        const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+        const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+        return keysA.length === keysB.length && keysA.every(key => DataMerger.isEqual(a[key], b[key]));
+    }
+}
+
+// Resolution dialog shared by the games page and the review page.
+// Both pages provide a #conflictModal with a #conflictList and apply/cancel buttons.
+class ConflictDialog {
+    static prompt(conflicts) {
+        const modal = document.getElementById('conflictModal');
+        if (!modal) {
+            console.warn('Conflict modal not found, keeping local changes');
+            return Promise.resolve(conflicts.map(() => 'local'));
+        }
+
+        document.getElementById('conflictList').innerHTML = conflicts.map((conflict, index) => `
+            <div class="conflict-item">
+                <div class="conflict-path">${ConflictDialog.escapeHtml(DataMerger.describePath(conflict.path))}</div>
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="local" checked>
+                    <span><strong>Your version:</strong> ${ConflictDialog.formatValue(conflict.local)}</span>
+                </label>
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="remote">
+                    <span><strong>Their version:</strong> ${ConflictDialog.formatValue(conflict.remote)}</span>
+                </label>
+            </div>
+        `).join('');
+
+        return new Promise(resolve => {
+            const applyBtn = document.getElementById('conflictApplyBtn');
+            const cancelBtn = document.getElementById('conflictCancelBtn');
+
+            const finish = (choices) => {
+                observer.disconnect();
+                applyBtn.onclick = null;
+                cancelBtn.onclick = null;
+                modal.classList.remove('active');
+                resolve(choices);
+            };
+
+            // Closing the modal any other way (close button, clicking outside) cancels the save
+            const observer = new MutationObserver(() => {
+                if (!modal.classList.contains('active')) finish(null);
+            });
+
+            applyBtn.onclick = () => finish(conflicts.map((conflict, index) =>
+                modal.querySelector(`input[name="conflict-${index}"]:checked`).value
+            ));
+            cancelBtn.onclick = () => finish(null);
+
+            modal.classList.add('active');
+            observer.observe(modal, { attributes: true, attributeFilter: ['class'] });
+        });
+    }
+
+    static formatValue(value) {
+        if (value === undefined || value === null || value === '') {
+            return '<em>(empty)</em>';
+        }
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return ConflictDialog.escapeHtml(text.length > 200 ? `${text.substring(0, 200)}...` : text);
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
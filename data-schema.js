@@ -0,0 +1,389 @@
+// Versioned data schema for Game Design Review
+//
+// Every stored document carries a `schemaVersion`. Documents are upgraded on load
+// by running, in order, every migration newer than their version, then validated
+// so malformed data is reported clearly instead of breaking the page.
+//
+// Documents: `index` ({ games }), `members` ({ members }), one game per `games/<id>`
+// and one member's notifications per `inbox/<memberId>` ({ notifications }) and
+// preferences per `preferences/<memberId>` ({ views, taskList }): their saved task views and
+// how they sort and group the task list.
+// Data saved before versioning (schema 1) stored `index` and `members` as bare arrays.
+const SCHEMA_VERSION = 9;
+
+// The categories every game had before games defined their own (schema 7)
+const TASK_CATEGORIES = ['bug', 'controls', 'quest', 'review'];
+
+// Optional task fields a category can turn on or off
+const CATEGORY_FIELDS = ['priority', 'urgency', 'assignee'];
+
+// The categories new games start with; each game can change its own (see categories.js)
+const DEFAULT_CATEGORIES = [
+    { id: 'bug', name: 'Bugs', icon: 'fa-bug', color: '#ef4444', fields: ['priority', 'urgency', 'assignee'] },
+    { id: 'controls', name: 'Controls', icon: 'fa-gamepad', color: '#3b82f6', fields: ['priority', 'urgency', 'assignee'] },
+    { id: 'quest', name: 'Quests', icon: 'fa-scroll', color: '#f59e0b', fields: ['priority', 'urgency', 'assignee'] },
+    { id: 'review', name: 'Reviews', icon: 'fa-star', color: '#8b5cf6', fields: [] }
+];
+
+// The workflow new games start with; each game can change its own (see workflow.js)
+const DEFAULT_WORKFLOW = {
+    initial: 'open',
+    states: [
+        { id: 'open', name: 'Open', done: false },
+        { id: 'in-progress', name: 'In Progress', done: false },
+        { id: 'completed', name: 'Completed', done: true },
+        { id: 'reopened', name: 'Reopened', done: false }
+    ],
+    transitions: [
+        { from: 'open', to: 'in-progress', name: 'Start' },
+        { from: 'open', to: 'completed', name: 'Complete' },
+        { from: 'in-progress', to: 'completed', name: 'Complete' },
+        { from: 'in-progress', to: 'open', name: 'Stop' },
+        { from: 'completed', to: 'reopened', name: 'Reopen' },
+        { from: 'reopened', to: 'in-progress', name: 'Start' },
+        { from: 'reopened', to: 'completed', name: 'Complete' }
+    ]
+};
+
+// How long deleted tasks are kept (null: forever) and which member roles may purge them
+const DEFAULT_DELETED_TASK_POLICY = {
+    retentionDays: null,
+    purgeRoles: ['Admin', 'Lead']
+};
+
+// Each step upgrades every kind of document to `version`. Kinds without a
+// function are unchanged by that step. Append new steps, never edit old ones.
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Add schemaVersion, drop stored UI state, fill in missing task fields',
+        index: index => ({ games: index }),
+        members: members => ({ members: members }),
+        game: game => {
+            const issues = game.issues || {};
+            const upgradeTasks = tasks => {
+                if (!Array.isArray(tasks)) return tasks; // left for validation to report
+                tasks.filter(task => task && typeof task === 'object').forEach(task => {
+                    delete task.isExpanded;
+                    task.comments = task.comments || [];
+                    task.mediaLinks = task.mediaLinks || [];
+                });
+                return tasks;
+            };
+
+            if (typeof issues === 'object' && !Array.isArray(issues)) {
+                TASK_CATEGORIES.forEach(category => {
+                    issues[category] = issues[category] || [];
+                });
+                Object.values(issues).forEach(upgradeTasks);
+            }
+
+            return {
+                ...game,
+                issues: issues,
+                deletedTasks: upgradeTasks(game.deletedTasks || [])
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Add task activity history, rebuilt from what older tasks recorded',
+        game: game => {
+            const legacyEvent = (type, at, actorName, details = {}) => ({
+                id: `legacy-${type}-${at}`,
+                type: type,
+                actor: actorName ? { id: null, name: actorName } : null,
+                at: at,
+                ...details
+            });
+
+            const addHistory = task => {
+                if (task.history) return;
+                const history = [legacyEvent('created', task.createdAt, null)];
+                (task.comments || []).forEach(comment => {
+                    history.push({ ...legacyEvent('comment', comment.createdAt, comment.author), id: `legacy-comment-${comment.id}`, commentId: comment.id, text: comment.text });
+                });
+                if (task.status === 'completed') {
+                    history.push(legacyEvent('completed', task.updatedAt || task.createdAt, task.completedBy, { comment: task.completionComment || null }));
+                }
+                if (task.deletedAt) {
+                    history.push(legacyEvent('deleted', task.deletedAt, task.deletedBy, { reason: task.deleteReason || null }));
+                }
+                task.history = history;
+            };
+
+            Object.values(game.issues).forEach(tasks => tasks.forEach(addHistory));
+            game.deletedTasks.forEach(addHistory);
+            return game;
+        }
+    },
+    {
+        version: 4,
+        description: 'Add the deleted task policy (retention period and who may purge)',
+        game: game => ({
+            ...game,
+            deletedTasks: game.deletedTasks || [],
+            deletedTaskPolicy: { ...DEFAULT_DELETED_TASK_POLICY, ...game.deletedTaskPolicy }
+        })
+    },
+    {
+        version: 5,
+        description: 'Games can be archived or moved to the trash',
+        index: index => ({
+            ...index,
+            games: Array.isArray(index.games)
+                ? index.games.map(game => ({ archived: false, deletedAt: null, ...game }))
+                : index.games
+        }),
+        game: game => ({ archived: false, deletedAt: null, ...game })
+    },
+    {
+        version: 6,
+        description: 'Add per-game workflows (task states and transitions)',
+        game: game => ({ ...game, workflow: game.workflow || JSON.parse(JSON.stringify(DEFAULT_WORKFLOW)) })
+    },
+    {
+        version: 7,
+        description: 'Add per-game categories (name, icon, color and which fields apply)',
+        game: game => {
+            if (game.categories) return game;
+            const categories = JSON.parse(JSON.stringify(DEFAULT_CATEGORIES));
+            Object.keys(game.issues)
+                .filter(id => !categories.some(category => category.id === id))
+                .forEach(id => categories.push({ id: id, name: id, icon: 'fa-folder', color: '#64748b', fields: [...CATEGORY_FIELDS] }));
+            return { ...game, categories: categories };
+        }
+    },
+    {
+        version: 8,
+        description: 'Give games a key prefix and number their tasks (SMURF-42), oldest first',
+        game: game => TaskKeys.assign({ ...game, keyPrefix: game.keyPrefix || TaskKeys.prefixFor(game.name) }, null)
+    },
+    {
+        version: 9,
+        description: 'Count task key numbers per game, so numbers of purged tasks are not handed out again',
+        game: game => ({ ...game, nextKeyNumber: TaskKeys.nextNumber(game) })
+    }
+];
+
+class DataValidationError extends Error {
+    constructor(documentName, problems) {
+        super(`The saved data in "${documentName}" is invalid: ${problems[0]}${problems.length > 1 ? ` (and ${problems.length - 1} more)` : ''}`);
+        this.name = 'DataValidationError';
+        this.document = documentName;
+        this.problems = problems;
+    }
+}
+
+class DataSchema {
+    static kindOf(name) {
+        if (name === 'index' || name === 'members') return name;
+        if (name === 'games') return 'legacyGames';
+        if (name.startsWith('inbox/')) return 'inbox';
+        if (name.startsWith('preferences/')) return 'preferences';
+        return 'game';
+    }
+
+    static versionOf(kind, content) {
+        if (kind === 'game') return content.schemaVersion || 1;
+        return Array.isArray(content) ? 1 : content.schemaVersion || 1;
+    }
+
+    // Upgrade a document to the current schema and validate it.
+    // Returns the upgraded copy; throws DataValidationError if it can't be used.
+    static upgrade(name, content) {
+        if (content === null || content === undefined) {
+            return content;
+        }
+
+        const kind = DataSchema.kindOf(name);
+        if (kind === 'legacyGames') {
+            // The pre-index single games file: upgrade each game inside it
+            if (!Array.isArray(content)) {
+                throw new DataValidationError(name, ['expected a list of games']);
+            }
+            return content.map((game, i) => DataSchema.upgrade(`games/${game && game.id || i}`, game));
+        }
+
+        if (typeof content !== 'object') {
+            throw new DataValidationError(name, ['the file is not a JSON object']);
+        }
+
+        const version = DataSchema.versionOf(kind, content);
+        if (version > SCHEMA_VERSION) {
+            throw new DataValidationError(name, [
+                `it was saved with schema version ${version}, but this page only understands up to ${SCHEMA_VERSION}. Reload to get the latest version of the app.`
+            ]);
+        }
+
+        let document = JSON.parse(JSON.stringify(content));
+        MIGRATIONS
+            .filter(step => step.version > version)
+            .forEach(step => {
+                try {
+                    if (step[kind]) {
+                        document = step[kind](document);
+                    }
+                } catch (error) {
+                    throw new DataValidationError(name, [`could not upgrade it to schema version ${step.version}: ${error.message}`]);
+                }
+                document.schemaVersion = step.version;
+            });
+
+        const problems = DataSchema.validate(kind, document);
+        if (problems.length > 0) {
+            throw new DataValidationError(name, problems);
+        }
+        return document;
+    }
+
+    static validate(kind, document) {
+        switch (kind) {
+            case 'index':
+                return DataSchema.validateList(document.games, 'games', (game, where) => [
+                    ...DataSchema.requireString(game.id, `${where}.id`),
+                    ...DataSchema.requireString(game.name, `${where}.name`)
+                ]);
+            case 'members':
+                return DataSchema.validateList(document.members, 'members', (member, where) => [
+                    ...DataSchema.requireString(member.id, `${where}.id`),
+                    ...DataSchema.requireString(member.name, `${where}.name`)
+                ]);
+            case 'inbox':
+                return DataSchema.validateList(document.notifications, 'notifications', (notification, where) => [
+                    ...DataSchema.requireString(notification.id, `${where}.id`),
+                    ...DataSchema.requireString(notification.type, `${where}.type`),
+                    ...DataSchema.requireString(notification.gameId, `${where}.gameId`),
+                    ...DataSchema.requireString(notification.taskId, `${where}.taskId`)
+                ]);
+            case 'preferences': {
+                const problems = DataSchema.validateList(document.views, 'views', (view, where) => [
+                    ...DataSchema.requireString(view.id, `${where}.id`),
+                    ...DataSchema.requireString(view.name, `${where}.name`),
+                    ...DataSchema.requireString(view.gameId, `${where}.gameId`),
+                    ...(typeof view.params === 'string' ? [] : [`${where}.params must be text`])
+                ]);
+                // Unknown sorts and groupings are ignored when used, so a newer version's choices still load
+                const taskList = document.taskList;
+                if (taskList !== undefined && taskList !== null
+                    && (typeof taskList !== 'object' || typeof taskList.sort !== 'string' || typeof taskList.groupBy !== 'string')) {
+                    problems.push('taskList must have a sort and a groupBy');
+                }
+                return problems;
+            }
+            default:
+                return DataSchema.validateGame(document);
+        }
+    }
+
+    static validateGame(game) {
+        const problems = [
+            ...DataSchema.requireString(game.id, 'id'),
+            ...DataSchema.requireString(game.name, 'name')
+        ];
+
+        if (!game.issues || typeof game.issues !== 'object' || Array.isArray(game.issues)) {
+            problems.push('issues must be an object of task lists');
+        } else {
+            Object.entries(game.issues).forEach(([category, tasks]) => {
+                problems.push(...DataSchema.validateList(tasks, `issues.${category}`, DataSchema.validateTask));
+            });
+        }
+        problems.push(...DataSchema.validateList(game.deletedTasks, 'deletedTasks', DataSchema.validateTask));
+
+        problems.push(...DataSchema.validateWorkflow(game.workflow).map(problem => `workflow: ${problem}`));
+        problems.push(...DataSchema.validateCategories(game.categories).map(problem => `categories: ${problem}`));
+        if (!TaskKeys.isValidPrefix(game.keyPrefix)) {
+            problems.push('keyPrefix must be capital letters and digits, starting with a letter');
+        }
+        if (!Number.isInteger(game.nextKeyNumber) || game.nextKeyNumber < 1) {
+            problems.push('nextKeyNumber must be a whole number of at least 1');
+        }
+
+        const policy = game.deletedTaskPolicy;
+        if (!policy || typeof policy !== 'object') {
+            problems.push('deletedTaskPolicy is missing');
+        } else {
+            if (policy.retentionDays !== null && !(Number.isInteger(policy.retentionDays) && policy.retentionDays > 0)) {
+                problems.push('deletedTaskPolicy.retentionDays must be a whole number of days, or null');
+            }
+            if (!Array.isArray(policy.purgeRoles) || policy.purgeRoles.some(role => typeof role !== 'string')) {
+                problems.push('deletedTaskPolicy.purgeRoles must be a list of role names');
+            }
+        }
+
+        return problems;
+    }
+
+    static validateWorkflow(workflow) {
+        if (!workflow || typeof workflow !== 'object') {
+            return ['it is missing'];
+        }
+
+        const problems = DataSchema.validateList(workflow.states, 'states', (state, where) => [
+            ...DataSchema.requireString(state.id, `${where}.id`),
+            ...DataSchema.requireString(state.name, `${where}.name`),
+            ...(typeof state.done === 'boolean' ? [] : [`${where}.done must be true or false`])
+        ]);
+        if (problems.length > 0) return problems;
+
+        const ids = workflow.states.map(state => state.id);
+        if (ids.length === 0) problems.push('there must be at least one state');
+        if (workflow.states.some(state => !state.name.trim())) problems.push('every state needs a name');
+        if (new Set(ids).size !== ids.length) problems.push('state ids must be unique');
+        if (!ids.includes(workflow.initial)) problems.push('the initial state must be one of the states');
+
+        problems.push(...DataSchema.validateList(workflow.transitions, 'transitions', (transition, where) => [
+            ...(ids.includes(transition.from) ? [] : [`${where}.from is not a state`]),
+            ...(ids.includes(transition.to) ? [] : [`${where}.to is not a state`]),
+            ...(transition.from === transition.to ? [`${where} must go to a different state`] : []),
+            ...DataSchema.requireString(transition.name, `${where}.name`)
+        ]));
+        return problems;
+    }
+
+    // Icons and colors end up in the page's markup, so only plain values are accepted
+    static validateCategories(categories) {
+        const problems = DataSchema.validateList(categories, 'categories', (category, where) => [
+            ...(/^[A-Za-z0-9_-]+$/.test(category.id) ? [] : [`${where}.id must be letters, digits, - or _`]),
+            ...DataSchema.requireString(category.name, `${where}.name`),
+            ...(/^fa-[a-z0-9-]+$/.test(category.icon) ? [] : [`${where}.icon must be a Font Awesome icon name`]),
+            ...(/^#[0-9a-fA-F]{6}$/.test(category.color) ? [] : [`${where}.color must be a color like #3b82f6`]),
+            ...(Array.isArray(category.fields) && category.fields.every(field => CATEGORY_FIELDS.includes(field))
+                ? [] : [`${where}.fields must list some of ${CATEGORY_FIELDS.join(', ')}`])
+        ]);
+        if (problems.length > 0) return problems;
+
+        const ids = categories.map(category => category.id);
+        if (ids.length === 0) problems.push('there must be at least one category');
+        if (categories.some(category => !category.name.trim())) problems.push('every category needs a name');
+        if (new Set(ids).size !== ids.length) problems.push('category ids must be unique');
+        return problems;
+    }
+
+    static validateTask(task, where) {
+        const problems = [
+            ...DataSchema.requireString(task.id, `${where}.id`),
+            ...DataSchema.requireString(task.title, `${where}.title`),
+            ...DataSchema.requireString(task.status, `${where}.status`),
+            ...DataSchema.requireString(task.key, `${where}.key`)
+        ];
+        if (!Array.isArray(task.comments)) problems.push(`${where}.comments must be a list`);
+        if (!Array.isArray(task.mediaLinks)) problems.push(`${where}.mediaLinks must be a list`);
+        if (!Array.isArray(task.history)) problems.push(`${where}.history must be a list`);
+        return problems;
+    }
+
+    static validateList(items, where, validateItem) {
+        if (!Array.isArray(items)) {
+            return [`${where} must be a list`];
+        }
+        return items.flatMap((item, i) => item && typeof item === 'object'
+            ? validateItem(item, `${where}[${i}]`)
+            : [`${where}[${i}] must be an object`]);
+    }
+
+    static requireString(value, where) {
+        return typeof value === 'string' ? [] : [`${where} is missing or not text`];
+    }
+}
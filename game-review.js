@@ -1,4 +1,6 @@
-// Game Design Review System - Task Management with GitHub Storage
+// Game Design Review System - Task Management with pluggable storage
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class TaskManager {
     constructor() {
         this.currentGame = null;
@@ -7,7 +9,34 @@ class TaskManager {
         this.members = [];
         this.taskToDelete = null;
         this.currentTaskId = null; // Add missing property
-        this.storage = new GitHubStorage();
+        this.editingTaskId = null; // task open in the task form, null when adding
+        this.commentAction = null; // { action, commentId } the comment form is for
+        this.completionStatus = null; // done state the completion modal moves the task to
+        this.workflowDraft = null; // workflow being edited in the workflow modal
+        this.categoriesDraft = null; // categories being edited in the categories modal
+        this.expandedTasks = new Set(); // UI state only, never saved
+        this.searchQuery = ''; // the search box as typed
+        this.search = TaskSearch.parse(''); // what the search box asks for, see task-search.js
+        this.filters = { ...VIEW_FILTERS }; // the filter panel, see task-views.js
+        this.board = null; // the board's columns ('status' or 'assignee'), or null to list tasks
+        this.views = []; // saved views of the member in preferencesOwner()
+        this.taskList = TaskOrder.fromBrowser(); // sort and grouping, see task-order.js
+        this.collapsedGroups = new Set(); // "groupBy:id" of collapsed task groups, UI state only
+        this.searchMatches = new Map(); // task id -> fields its search words were found in
+        this.dataError = null;
+        this.session = { enabled: false, user: null }; // GitHub sign-in, see user-session.js
+        this.currentMember = null; // the team member who is signed in, if any
+        this.actorRequest = null; // resolves the open "who is making this change?" form
+        this.lastActorId = null; // who was picked in it last, offered first next time
+        this.revisions = []; // version history, loaded when the history panel opens
+        this.selectedRevision = null; // { revision, game, view } shown in the history panel
+        this.storage = StorageAdapter.fromSettings();
+        this.storage.conflictResolver = (conflicts) => this.resolveConflicts(conflicts);
+        this.storage.onStatusChange = (status, pendingCount) => this.updateSyncStatus(status, pendingCount);
+        this.inbox = new NotificationInbox(this.storage, document.getElementById('inbox'), notification => this.openNotification(notification));
+        this.inbox.onMemberChange = () => this.loadPreferences();
+        this.savedGame = null; // the game as last loaded or saved, to tell which task events are new
+        this.refreshAfterSync = false;
         
         this.init();
     }
@@ -15,66 +44,289 @@ class TaskManager {
     async init() {
         console.log('Initializing TaskManager...');
         
-        // Get current game ID from localStorage
-        const gameId = localStorage.getItem('currentGameId');
+        // A link to a view names its game; otherwise use the game last opened from the games page
+        const params = new URLSearchParams(window.location.search);
+        const gameId = params.get('game') || localStorage.getItem('currentGameId');
         if (!gameId) {
             console.error('No game ID found, redirecting to main page');
             window.location.href = 'Index.html';
             return;
         }
 
-        // Load data from GitHub
-        await this.loadData();
+        // Load the open game and members from the configured storage backend
+        await this.loadData(gameId);
         
-        // Find current game
-        this.currentGame = this.games.find(g => g.id === gameId);
-        if (!this.currentGame) {
-            console.error('Game not found, redirecting to main page');
-            window.location.href = 'Index.html';
+        if (this.dataError) {
+            this.showDataError(this.dataError);
             return;
         }
 
-        // Initialize deleted tasks array if it doesn't exist
-        if (!this.currentGame.deletedTasks) {
-            this.currentGame.deletedTasks = [];
+        // Games in the trash can only be restored from the games page
+        if (!this.currentGame || this.currentGame.deletedAt) {
+            console.error('Game not found or in the trash, redirecting to main page');
+            window.location.href = 'Index.html';
+            return;
         }
 
+        localStorage.setItem('currentGameId', gameId);
+        await this.pruneExpiredDeletedTasks();
+        
         // Update UI
         this.updateGameTitle();
         this.setupEventListeners();
-        this.renderTasks();
-        this.updateStatistics();
         this.populateFilters();
+        this.renderTaskListControls();
+        this.applyView(TaskViews.fromParams(params));
+        this.updateStatistics();
+        this.focusTaskFromHash();
+        // Task key links in comments and descriptions change the hash
+        window.addEventListener('hashchange', () => this.focusTaskFromHash());
         
         console.log('TaskManager initialized successfully');
     }
 
-    async loadData() {
+    async loadData(gameId) {
         try {
-            // Load games and members from GitHub
-            const [games, members] = await Promise.all([
-                this.storage.loadGames(),
-                this.storage.loadMembers()
+            await this.storage.connect();
+            
+            // Only the open game is loaded - other games live in their own files
+            const [game, members, session] = await Promise.all([
+                this.storage.loadGame(gameId),
+                this.storage.loadMembers(),
+                UserSession.current()
             ]);
             
-            this.games = games;
+            this.setCurrentGame(game || this.currentGame);
             this.members = members;
+            this.setSession(session);
+            this.dataError = null;
         } catch (error) {
+            if (error instanceof DataValidationError) {
+                console.error('Stored data is invalid:', error.problems);
+                this.dataError = error;
+                return;
+            }
             console.error('Error loading data:', error);
-            this.showNotification('Error loading data. Check your GitHub token and repository settings.', 'error');
+            this.showNotification('Error loading data. Check your storage settings.', 'error');
+        }
+    }
+
+    setSession(session) {
+        this.session = session;
+        this.currentMember = UserSession.memberFor(session.user, this.members);
+        UserSession.renderAccount(document.getElementById('accountStatus'), session, this.currentMember, () => this.joinTeam());
+        this.inbox.setMembers(this.members, this.currentMember);
+        this.loadPreferences();
+    }
+
+    // Notifications link to a task: open it here, or switch to its game
+    openNotification(notification) {
+        if (notification.gameId === this.currentGame.id) {
+            this.focusTask(notification.taskId);
+            return;
+        }
+        localStorage.setItem('currentGameId', notification.gameId);
+        window.location.href = TaskViews.url(notification.gameId, TaskViews.empty(), `#task-${encodeURIComponent(notification.taskId)}`);
+    }
+
+    // Comment and description text as HTML: mentions highlighted, task keys linked
+    formatText(text) {
+        const tasksByKey = TaskKeys.byKey(this.currentGame);
+        return Mentions.highlight(text, this.members, plain => TaskKeys.linkify(this.escapeHtml(plain), tasksByKey));
+    }
+
+    // Links to a task end in #task-<id>
+    focusTaskFromHash() {
+        const match = window.location.hash.match(/^#task-(.+)$/);
+        if (match) {
+            this.focusTask(decodeURIComponent(match[1]));
+        }
+    }
+
+    focusTask(taskId) {
+        const found = this.findTask(taskId);
+        if (!found) {
+            this.showNotification('That task has been deleted.', 'error');
+            return;
+        }
+        // A task the category, search or filters hide is shown among all tasks
+        if (!this.visibleTasks().tasks.includes(found.task)) {
+            this.applyView(TaskViews.empty());
+        } else if (this.board) {
+            this.setBoard(null);
+        }
+        this.expandedTasks.add(taskId);
+        this.renderTasks();
+        const card = document.querySelector(`.task-card[data-task-id="${taskId}"]`);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    // Who is doing something: the signed-in member, or whoever is picked in the form
+    actorFrom(dropdownId) {
+        if (this.currentMember) {
+            return this.currentMember;
+        }
+        const memberId = document.getElementById(dropdownId).value;
+        return this.members.find(m => m.id === memberId) || null;
+    }
+
+    // Who is making a change that has no form of its own, such as a status move: the
+    // signed-in member, or whoever is picked in a small form. Resolves to null if it is closed.
+    askForActor(change) {
+        if (this.currentMember) {
+            return Promise.resolve(this.currentMember);
+        }
+
+        this.settleActorRequest(null);
+        document.getElementById('actorModalAction').textContent = change;
+        document.getElementById('changeActor').value = this.lastActorId || '';
+        this.showModal('actorModal');
+        return new Promise(resolve => {
+            this.actorRequest = resolve;
+        });
+    }
+
+    settleActorRequest(actor) {
+        const resolve = this.actorRequest;
+        this.actorRequest = null;
+        if (resolve) resolve(actor);
+    }
+
+    // Add the signed-in GitHub user to the team, linked by their login
+    async joinTeam() {
+        const user = this.session.user;
+        if (!user || this.currentMember || !this.session.canJoin) return;
+
+        try {
+            const member = {
+                id: DataMerger.newId(),
+                name: user.name || user.login,
+                role: null,
+                githubLogin: user.login,
+                createdAt: new Date().toISOString()
+            };
+            
+            const savedMembers = await this.storage.saveMembers([...this.members, member], `Add team member ${member.name}`);
+            if (!savedMembers) {
+                throw new Error('Save failed');
+            }
+            this.members = savedMembers;
+            this.setSession(this.session);
+            this.populateFilters();
+            
+            this.showNotification(`Welcome to the team, ${member.name}!`, 'success');
+        } catch (error) {
+            console.error('Error joining team:', error);
+            this.showNotification('Error joining the team. Please try again.', 'error');
         }
     }
 
-    async saveData() {
+    setCurrentGame(game) {
+        // Loaded games are already upgraded to the current schema, so every field is present
+        this.currentGame = game;
+        this.savedGame = game ? JSON.parse(JSON.stringify(game)) : null;
+    }
+
+    // Replace the task list with an explanation when the stored data can't be used
+    showDataError(error) {
+        const container = document.getElementById('tasksContainer');
+        if (!container) return;
+
+        const problems = error.problems.slice(0, 5).map(problem => `<li>${this.escapeHtml(problem)}</li>`).join('');
+        container.innerHTML = `
+            <div class="data-error">
+                <i class="fas fa-exclamation-triangle"></i>
+                <h3>This game's data can't be read</h3>
+                <p>The file <code>${this.escapeHtml(error.document)}</code> doesn't match the expected format, so nothing was changed.</p>
+                <ul>${problems}</ul>
+                ${error.problems.length > 5 ? `<p>...and ${error.problems.length - 5} more problem(s).</p>` : ''}
+                <p>Fix the file in your storage backend, then reload this page.</p>
+                <a href="Index.html" class="btn btn-secondary"><i class="fas fa-arrow-left"></i> Back to Games</a>
+            </div>
+        `;
+        this.showNotification(error.message, 'error');
+    }
+
+    // Save the open game as one change described by `message`, together with the
+    // notifications it causes. `inboxUpdate` ({ memberIds, update }) also changes
+    // notifications members already have, in that same change.
+    async saveData(message = 'Update tasks', inboxUpdate = null) {
         try {
-            // Save games to GitHub
-            await this.storage.saveGames(this.games);
+            // Worked out before saving, so events merged in from other people aren't notified twice
+            const notifications = NotificationInbox.fromChanges(this.savedGame, this.currentGame, this.members);
+            
+            // This also refreshes the game's entry in the games index
+            const savedGame = await this.storage.saveGame(this.currentGame, `${this.currentGame.name}: ${message}`,
+                { notifications: notifications, ...inboxUpdate });
+            if (!savedGame) {
+                throw new Error('Save failed');
+            }
+            
+            // Other people's changes may have been merged in while saving
+            this.setCurrentGame(savedGame);
+            if (inboxUpdate) {
+                await this.inbox.refresh();
+            }
         } catch (error) {
             console.error('Error saving data:', error);
+            if (error instanceof SaveCancelledError) {
+                // Nothing was stored: show the game as stored rather than the cancelled edit
+                this.showNotification('Save cancelled: your change was not saved.', 'error');
+                await this.refreshData();
+                return;
+            }
             this.showNotification('Error saving data. Please try again.', 'error');
         }
     }
 
+    async refreshData() {
+        await this.loadData(this.currentGame.id);
+        if (this.dataError) {
+            this.showDataError(this.dataError);
+            return;
+        }
+        
+        this.renderCategories();
+        this.renderTasks();
+        this.updateStatistics();
+        this.populateFilters();
+    }
+
+    updateSyncStatus(status, pendingCount) {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) return;
+
+        const changes = `${pendingCount} change${pendingCount === 1 ? '' : 's'}`;
+        const states = {
+            synced: ['fa-check-circle', 'All changes saved'],
+            pending: ['fa-sync fa-spin', `Syncing ${changes}...`],
+            offline: ['fa-plug', pendingCount > 0 ? `Offline - ${changes} pending` : 'Offline'],
+            error: ['fa-exclamation-triangle', `Sync failed - ${changes} pending`]
+        };
+        if (status === 'error' && this.storage.lastError && this.storage.lastError.status === 401) {
+            states.error = ['fa-sign-in-alt', `Sign in to save - ${changes} pending`];
+        }
+        const [icon, text] = states[status] || states.synced;
+
+        indicator.className = `sync-status ${status}`;
+        indicator.innerHTML = `<i class="fas ${icon}"></i> ${text}`;
+        indicator.style.display = 'inline-flex';
+
+        // A change the remote keeps refusing: let people see it, then retry, export or discard it
+        indicator.title = status === 'error' ? 'Show the change that could not be saved' : '';
+        indicator.onclick = status === 'error' ? () => FailedChangeDialog.show(this.storage) : null;
+
+        // Queued changes were just replayed: pick up whatever else changed meanwhile
+        if (status === 'offline' || status === 'error') {
+            this.refreshAfterSync = true;
+        } else if (status === 'synced' && this.refreshAfterSync) {
+            this.refreshAfterSync = false;
+            this.refreshData();
+        }
+    }
+
     updateGameTitle() {
         const gameTitle = document.getElementById('gameTitle');
         if (gameTitle && this.currentGame) {
@@ -88,25 +340,115 @@ class TaskManager {
             window.location.href = 'Index.html';
         });
 
+        // Task search
+        const taskSearch = document.getElementById('taskSearch');
+        taskSearch.addEventListener('input', () => this.setSearch(taskSearch.value));
+        taskSearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                taskSearch.value = '';
+                this.setSearch('');
+            }
+        });
+
+        // Board: drag cards between columns, or between cells of the matrix
+        const board = document.getElementById('taskBoard');
+        board.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.board-card');
+            if (!card) return;
+            e.dataTransfer.setData('text/plain', card.dataset.taskId);
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('dragging');
+        });
+        board.addEventListener('dragend', () => {
+            board.querySelectorAll('.dragging, .drop-target').forEach(element => element.classList.remove('dragging', 'drop-target'));
+        });
+        // Leftover columns (former members, removed states) only hold what is still filed there
+        board.addEventListener('dragover', (e) => {
+            const column = e.target.closest('.board-column:not(.leftover), .matrix-cell');
+            if (!column) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            board.querySelectorAll('.drop-target').forEach(element => element !== column && element.classList.remove('drop-target'));
+            column.classList.add('drop-target');
+        });
+        board.addEventListener('drop', (e) => {
+            const column = e.target.closest('.board-column:not(.leftover), .matrix-cell');
+            if (!column) return;
+            e.preventDefault();
+            column.classList.remove('drop-target');
+            this.moveTaskOnBoard(e.dataTransfer.getData('text/plain'), column.dataset.column);
+        });
+
+        // Filter panel
+        document.getElementById('filtersBtn').addEventListener('click', () => {
+            const panel = document.getElementById('filterPanel');
+            panel.style.display = panel.style.display === 'none' ? '' : 'none';
+        });
+        document.getElementById('filterPanel').addEventListener('input', (e) => {
+            if (e.target.dataset.filter) {
+                this.readFilterPanel();
+            }
+        });
+        document.getElementById('clearFiltersBtn').addEventListener('click', () => {
+            this.filters = { ...VIEW_FILTERS };
+            this.renderFilterPanel();
+            this.renderTasks();
+            this.viewChanged();
+        });
+
+        // List or board, sort and grouping
+        document.getElementById('taskLayout').addEventListener('change', (e) => {
+            this.setBoard(e.target.value);
+        });
+        document.getElementById('taskSort').addEventListener('change', (e) => {
+            this.setTaskList({ sort: e.target.value });
+        });
+        document.getElementById('taskGroupBy').addEventListener('change', (e) => {
+            this.setTaskList({ groupBy: e.target.value });
+        });
+
+        // Saved views
+        document.getElementById('viewSelect').addEventListener('change', (e) => {
+            this.selectView(e.target.value);
+        });
+        document.getElementById('saveViewBtn').addEventListener('click', () => {
+            this.showSaveViewModal();
+        });
+        document.getElementById('saveViewForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveView();
+        });
+        document.getElementById('deleteViewBtn').addEventListener('click', () => {
+            this.deleteView();
+        });
+        document.getElementById('copyViewLinkBtn').addEventListener('click', () => {
+            this.copyViewLink();
+        });
+
         // Add task button
         document.getElementById('addTaskBtn').addEventListener('click', () => {
+            this.editingTaskId = null;
+            this.resetTaskForm();
+            this.setTaskFormMode(false);
             this.showModal('addTaskModal');
-            // Initialize form fields when modal opens
-            this.updateTaskFormFields('bug');
         });
 
-        // Add task form
+        // Add/edit task form
         document.getElementById('addTaskForm').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.createTask();
+            if (this.editingTaskId) {
+                this.updateTask();
+            } else {
+                this.createTask();
+            }
         });
 
-        // Category navigation
-        document.querySelectorAll('.category-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const category = e.target.dataset.category;
-                this.setCurrentCategory(category);
-            });
+        // Category navigation (the buttons are rendered from the game's categories)
+        document.getElementById('categoryNav').addEventListener('click', (e) => {
+            const button = e.target.closest('.category-btn');
+            if (button) {
+                this.setCurrentCategory(button.dataset.category);
+            }
         });
 
         // Task category change handler
@@ -123,7 +465,7 @@ class TaskManager {
         // Comment modal form
         document.getElementById('commentForm').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.addComment();
+            this.submitCommentForm();
         });
 
         // Delete modal form
@@ -132,6 +474,19 @@ class TaskManager {
             this.confirmDeleteTask();
         });
 
+        // Who is making a change (see askForActor)
+        document.getElementById('actorForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const actor = this.actorFrom('changeActor');
+            if (!actor) {
+                this.showNotification('Please select a team member.', 'error');
+                return;
+            }
+            this.lastActorId = actor.id;
+            this.settleActorRequest(actor);
+            this.hideModal('actorModal');
+        });
+
         // Add team member form
         document.getElementById('addMemberForm').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -154,6 +509,76 @@ class TaskManager {
             this.showDeletedTasks();
         });
 
+        // Deleted tasks modal: search, filters and retention
+        ['deletedTasksSearch', 'deletedTasksCategory', 'deletedTasksDeleter', 'deletedTasksAge', 'deletedTasksActor'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderDeletedTasks());
+        });
+        document.getElementById('saveDeletedTaskPolicyBtn').addEventListener('click', () => {
+            this.saveDeletedTaskPolicy();
+        });
+
+        // Category editor
+        document.getElementById('editCategoriesBtn').addEventListener('click', () => {
+            console.log('Edit categories button clicked');
+            this.showCategoryEditor();
+        });
+        const categoriesEditor = document.getElementById('categoriesEditor');
+        categoriesEditor.addEventListener('input', (e) => this.updateCategoriesDraft(e.target));
+        categoriesEditor.addEventListener('change', (e) => {
+            this.updateCategoriesDraft(e.target);
+            // The preview shows the icon and color
+            if (e.target.classList.contains('category-icon') || e.target.classList.contains('category-color')) {
+                this.renderCategoryEditor();
+            }
+        });
+        categoriesEditor.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            if (button.id === 'categoriesAddBtn') {
+                this.addCategory();
+            } else if (button.classList.contains('category-remove')) {
+                this.removeCategory(Number(button.dataset.index));
+            }
+        });
+        document.getElementById('saveCategoriesBtn').addEventListener('click', () => this.saveCategories());
+        
+        // Workflow editor
+        document.getElementById('editWorkflowBtn').addEventListener('click', () => {
+            console.log('Edit workflow button clicked');
+            this.showWorkflowEditor();
+        });
+        const workflowEditor = document.getElementById('workflowEditor');
+        workflowEditor.addEventListener('input', (e) => this.updateWorkflowDraft(e.target));
+        workflowEditor.addEventListener('change', (e) => {
+            this.updateWorkflowDraft(e.target);
+            // State names also appear in the transition dropdowns
+            if (e.target.classList.contains('workflow-state-name')) {
+                this.renderWorkflowEditor();
+            }
+        });
+        workflowEditor.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            if (button.id === 'workflowAddState') {
+                this.addWorkflowState();
+            } else if (button.id === 'workflowAddTransition') {
+                this.addWorkflowTransition();
+            } else if (button.classList.contains('workflow-remove-state')) {
+                this.removeWorkflowState(Number(button.dataset.index));
+            } else if (button.classList.contains('workflow-remove-transition')) {
+                this.workflowDraft.transitions.splice(Number(button.dataset.index), 1);
+                this.renderWorkflowEditor();
+            }
+        });
+        document.getElementById('saveWorkflowBtn').addEventListener('click', () => this.saveWorkflow());
+
+        // Version history needs a backend that keeps past versions
+        document.getElementById('historySection').style.display = this.storage.supportsHistory ? 'block' : 'none';
+        document.getElementById('viewHistoryBtn').addEventListener('click', () => {
+            console.log('View history button clicked');
+            this.showHistory();
+        });
+
                  // Close modals when clicking outside
          document.addEventListener('click', (e) => {
              if (e.target.classList.contains('modal')) {
@@ -166,6 +591,18 @@ class TaskManager {
 
                  // Event delegation for dynamically created task elements
          document.addEventListener('click', (e) => {
+             // Task group sections
+             if (e.target.closest('.task-group-header')) {
+                 this.toggleTaskGroup(e.target.closest('.task-group-header').dataset.group);
+             }
+             
+             // Board cards open the task form; the rest of a matrix cell lists its tasks
+             if (e.target.closest('.board-card')) {
+                 this.showEditTaskModal(e.target.closest('.board-card').dataset.taskId);
+             } else if (e.target.closest('.matrix-cell')) {
+                 this.showMatrixCell(e.target.closest('.matrix-cell').dataset.column);
+             }
+             
              // Task expansion
              if (e.target.closest('.task-summary')) {
                  const taskCard = e.target.closest('.task-card');
@@ -179,14 +616,36 @@ class TaskManager {
                  const taskCard = button.closest('.task-card');
                  const taskId = taskCard.dataset.taskId;
                  
-                 if (button.classList.contains('complete')) {
-                     this.showCompletionModal(taskId);
+                 if (button.classList.contains('transition')) {
+                     this.transitionTask(taskId, Number(button.dataset.transition));
+                 } else if (button.classList.contains('edit')) {
+                     this.showEditTaskModal(taskId);
                  } else if (button.classList.contains('comment')) {
-                     this.showCommentModal(taskId);
+                     this.showCommentModal(taskId, 'comment');
                  } else if (button.classList.contains('delete')) {
                      this.showDeleteModal(taskId);
-                 } else if (button.classList.contains('reopen')) {
-                     this.toggleTaskComplete(taskId);
+                 }
+             }
+             
+             // Task key links open the task on this page (the link itself still works in a new tab)
+             if (e.target.closest('.task-key-link')) {
+                 e.preventDefault();
+                 const match = e.target.closest('.task-key-link').getAttribute('href').match(/^#task-(.+)$/);
+                 this.focusTask(decodeURIComponent(match[1]));
+                 return;
+             }
+             
+             // Comment actions: reply, resolve, reopen, edit, delete
+             if (e.target.closest('.comment-action')) {
+                 const button = e.target.closest('.comment-action');
+                 const taskId = button.closest('.task-card').dataset.taskId;
+                 const commentId = button.closest('.comment-item').dataset.commentId;
+                 const action = button.dataset.action;
+                 
+                 if (action === 'resolve' || action === 'reopen') {
+                     this.setThreadStatus(taskId, commentId, action === 'resolve' ? 'resolved' : 'open');
+                 } else {
+                     this.showCommentModal(taskId, action, commentId);
                  }
              }
              
@@ -198,6 +657,28 @@ class TaskManager {
                  this.showMediaModal(mediaUrl, mediaType);
              }
              
+             // Deleted task actions
+             if (e.target.closest('.restore-deleted-btn')) {
+                 this.restoreDeletedTask(e.target.closest('.restore-deleted-btn').dataset.taskId);
+             }
+             if (e.target.closest('.purge-deleted-btn')) {
+                 this.purgeDeletedTask(e.target.closest('.purge-deleted-btn').dataset.taskId);
+             }
+             
+             // Version history panel
+             if (e.target.closest('.revision-item')) {
+                 this.selectRevision(e.target.closest('.revision-item').dataset.sha);
+             }
+             if (e.target.closest('.revision-tab')) {
+                 this.setRevisionView(e.target.closest('.revision-tab').dataset.view);
+             }
+             if (e.target.closest('.restore-task-btn')) {
+                 this.restoreTaskFromRevision(e.target.closest('.restore-task-btn').dataset.taskId);
+             }
+             if (e.target.closest('.restore-game-btn')) {
+                 this.restoreGameFromRevision();
+             }
+             
              // Remove team member button
              if (e.target.closest('.btn-remove-member')) {
                  const button = e.target.closest('.btn-remove-member');
@@ -211,45 +692,259 @@ class TaskManager {
 
     setCurrentCategory(category) {
         this.currentCategory = category;
-        
-        // Update active button
-        document.querySelectorAll('.category-btn').forEach(btn => {
-            btn.classList.remove('active');
+        this.renderCategories();
+        this.renderTasks();
+        this.viewChanged();
+    }
+
+    setSearch(query) {
+        this.searchQuery = query;
+        this.search = TaskSearch.parse(query);
+        this.renderTasks();
+        this.viewChanged();
+    }
+
+    // What the task list shows: category, search and filters (see task-views.js)
+    currentView() {
+        return { board: this.board, category: this.currentCategory, query: this.searchQuery, filters: { ...this.filters } };
+    }
+
+    applyView(view) {
+        this.board = view.board;
+        this.currentCategory = view.category;
+        this.searchQuery = view.query;
+        this.search = TaskSearch.parse(view.query);
+        this.filters = { ...view.filters };
+        document.getElementById('taskSearch').value = view.query;
+        this.renderFilterPanel();
+        this.renderTaskListControls();
+        if (TaskViews.activeCount(this.filters) > 0) {
+            document.getElementById('filterPanel').style.display = '';
+        }
+        this.renderCategories();
+        this.renderTasks();
+        this.viewChanged();
+    }
+
+    // Keep the URL, and the saved view it matches, in step with the view
+    viewChanged() {
+        history.replaceState(null, '', TaskViews.url(this.currentGame.id, this.currentView(), window.location.hash));
+        this.renderViewSelect();
+    }
+
+    // The filter panel's controls, from this.filters
+    renderFilterPanel() {
+        document.querySelectorAll('#filterPanel [data-filter]').forEach(input => {
+            const value = this.filters[input.dataset.filter];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
         });
-        document.querySelector(`[data-category="${category}"]`).classList.add('active');
-        
-        // Update category title
-        const categoryTitle = document.getElementById('categoryTitle');
-        const categoryNames = {
-            'all': 'All Issues',
-            'bug': 'Bugs',
-            'controls': 'Controls',
-            'quest': 'Quests',
-            'review': 'Reviews'
+        const count = TaskViews.activeCount(this.filters);
+        document.getElementById('filterCount').textContent = count > 0 ? count : '';
+    }
+
+    // this.filters, from the filter panel's controls
+    readFilterPanel() {
+        document.querySelectorAll('#filterPanel [data-filter]').forEach(input => {
+            this.filters[input.dataset.filter] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        this.renderFilterPanel();
+        this.renderTasks();
+        this.viewChanged();
+    }
+
+    // Saved views and the task list order belong to the signed-in member, or to whoever is picked in the inbox
+    preferencesOwner() {
+        return this.currentMember || this.inbox.member;
+    }
+
+    async loadPreferences() {
+        const owner = this.preferencesOwner();
+        try {
+            const preferences = owner ? await this.storage.loadPreferences(owner.id) : { views: [], taskList: null };
+            this.views = preferences.views;
+            // Without a choice of their own, members keep what this browser uses
+            this.taskList = preferences.taskList ? TaskOrder.normalize(preferences.taskList) : TaskOrder.fromBrowser();
+        } catch (error) {
+            console.error('Error loading preferences:', error);
+            this.views = [];
+        }
+        if (this.currentGame) {
+            this.renderViewSelect();
+            this.renderTaskListControls();
+            this.renderTasks();
+        }
+    }
+
+    // Save the owner's preferences with `changes`, keeping what is stored now for the rest
+    async savePreferences(changes, message) {
+        const owner = this.preferencesOwner();
+        const saved = await this.storage.savePreferences(owner.id, {
+            views: this.views,
+            taskList: this.taskList,
+            ...changes
+        }, message);
+        if (saved) {
+            this.views = saved.views;
+        }
+        return saved;
+    }
+
+    // The saved views of this game; the one matching the view is selected
+    renderViewSelect() {
+        const select = document.getElementById('viewSelect');
+        const view = this.currentView();
+        const current = TaskViews.find(this.views, this.currentGame.id, view);
+
+        select.innerHTML = '';
+        select.add(new Option('All tasks', ''));
+        this.views
+            .filter(saved => saved.gameId === this.currentGame.id)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(saved => select.add(new Option(saved.name, saved.id)));
+        if (!current && TaskViews.toParams(view) !== '') {
+            select.add(new Option('Unsaved view', 'unsaved'));
+        }
+        select.value = current ? current.id : TaskViews.toParams(view) !== '' ? 'unsaved' : '';
+        document.getElementById('deleteViewBtn').style.display = current ? '' : 'none';
+    }
+
+    selectView(viewId) {
+        if (viewId === 'unsaved') return;
+        const saved = this.views.find(view => view.id === viewId);
+        this.applyView(saved ? TaskViews.fromParams(saved.params) : TaskViews.empty());
+    }
+
+    showSaveViewModal() {
+        if (!this.preferencesOwner()) {
+            this.showNotification('Sign in, or pick your name under the bell, to save views.', 'error');
+            return;
+        }
+        const current = TaskViews.find(this.views, this.currentGame.id, this.currentView());
+        document.getElementById('viewName').value = current ? current.name : '';
+        this.showModal('saveViewModal');
+    }
+
+    async saveView() {
+        const owner = this.preferencesOwner();
+        const name = document.getElementById('viewName').value.trim();
+        if (!owner || !name) {
+            return;
+        }
+
+        // Saving under the name of one of the game's views replaces that view
+        const existing = this.views.find(view => view.gameId === this.currentGame.id && view.name.toLowerCase() === name.toLowerCase());
+        const view = {
+            id: existing ? existing.id : DataMerger.newId(),
+            name: name,
+            gameId: this.currentGame.id,
+            params: TaskViews.toParams(this.currentView())
         };
-        categoryTitle.textContent = categoryNames[category] || 'All Issues';
+        const saved = await this.savePreferences({
+            views: [...this.views.filter(v => v !== existing), view]
+        }, `Save view "${name}" for ${owner.name}`);
+        if (!saved) {
+            this.showNotification('Error saving view. Please try again.', 'error');
+            return;
+        }
+
+        this.renderViewSelect();
+        this.hideModal('saveViewModal');
+        this.showNotification(`View "${name}" saved`);
+    }
+
+    async deleteView() {
+        const owner = this.preferencesOwner();
+        const current = TaskViews.find(this.views, this.currentGame.id, this.currentView());
+        if (!owner || !current || !confirm(`Delete the view "${current.name}"?`)) {
+            return;
+        }
+
+        const saved = await this.savePreferences({
+            views: this.views.filter(view => view.id !== current.id)
+        }, `Delete view "${current.name}" for ${owner.name}`);
+        if (!saved) {
+            this.showNotification('Error deleting view. Please try again.', 'error');
+            return;
+        }
+
+        this.renderViewSelect();
+        this.showNotification(`View "${current.name}" deleted`);
+    }
+
+    // A link to the view, without any task it points at
+    async copyViewLink() {
+        const link = new URL(TaskViews.url(this.currentGame.id, this.currentView()), window.location.href).href;
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showNotification('Link to this view copied');
+        } catch (error) {
+            console.error('Error copying link:', error);
+            this.showNotification('Could not copy the link; copy it from the address bar instead.', 'error');
+        }
+    }
+
+    // Everything drawn from the game's categories: sidebar, title and category pickers
+    renderCategories() {
+        // A category removed since (by someone else, say) falls back to everything
+        if (this.currentCategory !== 'all' && !Categories.of(this.currentGame).some(category => category.id === this.currentCategory)) {
+            this.currentCategory = 'all';
+        }
         
-        this.renderTasks();
+        this.renderCategoryNav();
+        this.populateCategoryOptions();
+        
+        document.getElementById('categoryTitle').textContent = this.currentCategory === 'all'
+            ? 'All Issues'
+            : Categories.get(this.currentGame, this.currentCategory).name;
+    }
+
+    // Sidebar buttons, one per category of the game
+    renderCategoryNav() {
+        const button = (id, icon, color, name) => `
+            <button class="category-btn ${this.currentCategory === id ? 'active' : ''}" data-category="${this.escapeHtml(id)}">
+                <i class="fas ${icon}" ${color ? `style="color: ${color};"` : ''}></i> ${this.escapeHtml(name)}
+            </button>
+        `;
+        document.getElementById('categoryNav').innerHTML = [
+            button('all', 'fa-th-list', null, 'All Issues'),
+            ...Categories.of(this.currentGame).map(category => button(category.id, category.icon, category.color, category.name))
+        ].join('');
     }
 
+    // Category pickers in the task form and the deleted tasks filter
+    populateCategoryOptions() {
+        const categories = Categories.of(this.currentGame);
+
+        const taskCategory = document.getElementById('taskCategory');
+        taskCategory.innerHTML = '';
+        categories.forEach(category => taskCategory.add(new Option(category.name, category.id)));
+
+        const deletedTasksCategory = document.getElementById('deletedTasksCategory');
+        const selected = deletedTasksCategory.value;
+        deletedTasksCategory.innerHTML = '';
+        deletedTasksCategory.add(new Option('All categories', ''));
+        categories.forEach(category => deletedTasksCategory.add(new Option(category.name, category.id)));
+        deletedTasksCategory.value = categories.some(c => c.id === selected) ? selected : '';
+    }
+
+    // Only the fields the category uses are shown
     updateTaskFormFields(category) {
-        const priorityGroup = document.getElementById('priorityGroup');
-        const urgencyGroup = document.getElementById('urgencyGroup');
-        const assigneeGroup = document.getElementById('assigneeGroup');
-        
-        // Show/hide fields based on category
-        if (category === 'review') {
-            priorityGroup.style.display = 'none';
-            urgencyGroup.style.display = 'none';
-            assigneeGroup.style.display = 'none';
-        } else {
-            priorityGroup.style.display = 'block';
-            urgencyGroup.style.display = 'block';
-            assigneeGroup.style.display = 'block';
-        }
+        CATEGORY_FIELDS.forEach(field => {
+            document.getElementById(`${field}Group`).style.display = Categories.hasField(this.currentGame, category, field) ? 'block' : 'none';
+        });
     }
 
     async createTask() {
+        const creator = this.actorFrom('editAuthor');
+        if (!creator) {
+            this.showNotification('Please select a team member.', 'error');
+            return;
+        }
+
                  const formData = {
              title: document.getElementById('taskTitle').value,
              description: document.getElementById('taskDescription').value,
@@ -264,37 +959,39 @@ class TaskManager {
                          // Parse media links
              const mediaLinks = this.parseMediaLinks(formData.mediaLinks);
              
+             const uses = field => Categories.hasField(this.currentGame, formData.category, field);
+             
              const task = {
-                 id: Date.now().toString(),
+                 id: DataMerger.newId(),
                  title: formData.title,
                  description: formData.description,
                  category: formData.category,
-                 priority: formData.category === 'review' ? null : formData.priority,
-                 urgency: formData.category === 'review' ? null : formData.urgency,
-                 assignee: formData.category === 'review' ? null : formData.assignee,
-                 status: 'open',
+                 priority: uses('priority') ? formData.priority : null,
+                 urgency: uses('urgency') ? formData.urgency : null,
+                 assignee: uses('assignee') ? formData.assignee : null,
+                 status: Workflow.of(this.currentGame).initial,
                  createdAt: new Date().toISOString(),
                  updatedAt: new Date().toISOString(),
                  comments: [],
                  completionComment: null,
                  completedBy: null,
-                 mediaLinks: mediaLinks
+                 mediaLinks: mediaLinks,
+                 history: []
              };
+             TaskHistory.record(task, 'created', creator);
 
             // Add task to current game
             if (!this.currentGame.issues) {
-                this.currentGame.issues = {
-                    bug: [],
-                    controls: [],
-                    quest: [],
-                    review: []
-                };
+                this.currentGame.issues = Categories.emptyIssues(Categories.of(this.currentGame));
             }
 
+            this.currentGame.issues[task.category] = this.currentGame.issues[task.category] || [];
             this.currentGame.issues[task.category].push(task);
+            // Numbered now so the card shows its key; saving renumbers it if someone took the number meanwhile
+            TaskKeys.assign(this.currentGame, this.savedGame);
             
-            // Save to GitHub
-            await this.saveData();
+            // Save to storage
+            await this.saveData(`Add task "${task.title}"`);
             
             // Update UI
             this.renderTasks();
@@ -308,92 +1005,465 @@ class TaskManager {
         }
     }
 
+    // New tasks go in the category being viewed, or the first one
     resetTaskForm() {
         document.getElementById('addTaskForm').reset();
-        this.updateTaskFormFields('bug'); // Show fields by default
+        const taskCategory = document.getElementById('taskCategory');
+        if (this.currentCategory !== 'all') {
+            taskCategory.value = this.currentCategory;
+        }
+        this.updateTaskFormFields(taskCategory.value);
     }
 
-    renderTasks() {
-        const container = document.getElementById('tasksContainer');
-        const emptyState = document.getElementById('emptyState');
-        
-        let tasks = [];
-        
-        if (this.currentCategory === 'all') {
-            // Get all tasks from all categories
-            Object.values(this.currentGame.issues || {}).forEach(categoryTasks => {
-                tasks = tasks.concat(categoryTasks);
-            });
-        } else {
-            // Get tasks from specific category
-            tasks = this.currentGame.issues?.[this.currentCategory] || [];
-        }
+    // The task form both adds and edits tasks
+    setTaskFormMode(editing) {
+        document.getElementById('taskModalTitle').textContent = editing ? 'Edit Task' : 'Add New Task';
+        document.getElementById('taskFormSubmit').textContent = editing ? 'Save Changes' : 'Create Task';
 
-        // Sort tasks by priority, urgency, and creation date
-        tasks.sort((a, b) => {
-            // First by status (open tasks first)
-            if (a.status !== b.status) {
-                return a.status === 'open' ? -1 : 1;
-            }
-            
-            // Then by priority (if available)
-            if (a.priority && b.priority) {
-                const priorityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
-                if (priorityOrder[a.priority] !== priorityOrder[b.priority]) {
-                    return priorityOrder[b.priority] - priorityOrder[a.priority];
-                }
+        // Signed-in members add and edit as themselves, so there is nothing to pick
+        document.getElementById('editAuthorLabel').textContent = editing ? 'Edited by' : 'Created by';
+        const editAuthor = document.getElementById('editAuthor');
+        editAuthor.innerHTML = '<option value="">Select team member...</option>';
+        this.members.forEach(member => {
+            editAuthor.innerHTML += `<option value="${member.id}">${this.escapeHtml(member.name)}</option>`;
+        });
+        document.getElementById('editAuthorGroup').style.display = this.currentMember ? 'none' : 'block';
+    }
+
+    // The active task with this id and the category it is filed under, or null
+    findTask(taskId) {
+        for (const [category, tasks] of Object.entries(this.currentGame.issues || {})) {
+            const task = tasks.find(t => t.id === taskId);
+            if (task) {
+                return { task: task, category: category };
             }
-            
-            // Then by urgency (if available)
-            if (a.urgency && b.urgency) {
-                const urgencyOrder = { critical: 4, high: 3, medium: 2, low: 1 };
-                if (urgencyOrder[a.urgency] !== urgencyOrder[b.urgency]) {
-                    return urgencyOrder[b.urgency] - urgencyOrder[a.urgency];
-                }
+        }
+        return null;
+    }
+
+    showEditTaskModal(taskId) {
+        const found = this.findTask(taskId);
+        if (!found) return;
+
+        const task = found.task;
+        this.editingTaskId = taskId;
+        document.getElementById('taskTitle').value = task.title;
+        document.getElementById('taskDescription').value = task.description || '';
+        document.getElementById('taskMediaLinks').value = (task.mediaLinks || []).map(media => media.url).join('\n');
+        document.getElementById('taskCategory').value = found.category;
+        document.getElementById('taskPriority').value = task.priority || 'medium';
+        document.getElementById('taskUrgency').value = task.urgency || 'medium';
+        document.getElementById('taskAssignee').value = task.assignee || '';
+        this.updateTaskFormFields(found.category);
+        this.setTaskFormMode(true);
+        this.showModal('addTaskModal');
+    }
+
+    // Apply the task form to the task being edited; every changed field is recorded in its history
+    async updateTask() {
+        const found = this.findTask(this.editingTaskId);
+        if (!found) return;
+
+        const title = document.getElementById('taskTitle').value.trim();
+        if (!title) {
+            this.showNotification('Please enter a task title.', 'error');
+            return;
+        }
+
+        const editor = this.actorFrom('editAuthor');
+        if (!editor) {
+            this.showNotification('Please select a team member.', 'error');
+            return;
+        }
+
+        try {
+            const { task, category: oldCategory } = found;
+            const before = { ...task };
+            const category = document.getElementById('taskCategory').value;
+            const uses = field => Categories.hasField(this.currentGame, category, field);
+            const mediaLinks = this.parseMediaLinks(document.getElementById('taskMediaLinks').value);
+
+            Object.assign(task, {
+                title: title,
+                description: document.getElementById('taskDescription').value,
+                category: category,
+                priority: uses('priority') ? document.getElementById('taskPriority').value : null,
+                urgency: uses('urgency') ? document.getElementById('taskUrgency').value : null,
+                assignee: uses('assignee') ? document.getElementById('taskAssignee').value : null,
+                // Same links: keep the stored entries as they are
+                mediaLinks: DataMerger.isEqual(mediaLinks.map(media => media.url), (before.mediaLinks || []).map(media => media.url))
+                    ? before.mediaLinks
+                    : mediaLinks
+            });
+            // Empty and missing are the same (older tasks store '' or nothing)
+            ['description', 'assignee', 'priority', 'urgency'].forEach(field => {
+                if (!before[field] && !task[field]) task[field] = before[field];
+            });
+
+            const eventCount = task.history.length;
+            TaskHistory.recordChanges(task, before, editor);
+            if (task.history.length === eventCount) {
+                this.hideModal('addTaskModal');
+                this.editingTaskId = null;
+                this.resetTaskForm();
+                this.showNotification('Nothing was changed.', 'success');
+                return;
             }
-            
-            // Finally by creation date (newest first)
-            return new Date(b.createdAt) - new Date(a.createdAt);
-        });
 
-        if (tasks.length === 0) {
+            // Moving between categories files it under the new one
+            if (category !== oldCategory) {
+                this.currentGame.issues[oldCategory] = this.currentGame.issues[oldCategory].filter(t => t.id !== task.id);
+                this.currentGame.issues[category] = this.currentGame.issues[category] || [];
+                this.currentGame.issues[category].push(task);
+            }
+
+            await this.saveData(`Edit task "${task.title}"`);
+
+            this.renderTasks();
+            this.updateStatistics();
+            this.hideModal('addTaskModal');
+            this.editingTaskId = null;
+            this.resetTaskForm();
+            this.showNotification('Task updated successfully!', 'success');
+        } catch (error) {
+            console.error('Error updating task:', error);
+            this.showNotification('Error updating task. Please try again.', 'error');
+        }
+    }
+
+    renderTasks() {
+        const container = document.getElementById('tasksContainer');
+        const emptyState = document.getElementById('emptyState');
+        const board = document.getElementById('taskBoard');
+        const { tasks, total } = this.visibleTasks();
+        this.renderSearchHint(tasks.length, total);
+
+        // The board keeps its columns even when empty, to drop tasks into
+        board.style.display = this.board ? '' : 'none';
+        if (this.board) {
+            container.style.display = 'none';
+            emptyState.style.display = 'none';
+            board.innerHTML = this.board === 'matrix' ? this.renderMatrix(tasks) : this.renderBoard(tasks);
+        } else if (tasks.length === 0) {
+            const searching = total > 0;
+            emptyState.querySelector('h3').textContent = searching ? 'No matching tasks' : 'No tasks yet';
+            emptyState.querySelector('p').textContent = searching ? 'Try other words or fewer filters' : 'Create your first task to get started';
             container.style.display = 'none';
             emptyState.style.display = 'block';
         } else {
             container.style.display = 'block';
             emptyState.style.display = 'none';
             
-            container.innerHTML = tasks.map(task => this.renderTaskCard(task)).join('');
+            container.innerHTML = this.taskList.groupBy === 'none'
+                ? tasks.map(task => this.renderTaskCard(task)).join('')
+                : TaskOrder.group(tasks, this.taskList.groupBy, { game: this.currentGame, members: this.members })
+                    .map(group => this.renderTaskGroup(group)).join('');
         }
     }
 
+    // A collapsible section of the task list
+    renderTaskGroup(group) {
+        const key = `${this.taskList.groupBy}:${group.id}`;
+        const collapsed = this.collapsedGroups.has(key);
+        return `
+            <section class="task-group ${collapsed ? 'collapsed' : ''}">
+                <button class="task-group-header" data-group="${this.escapeHtml(key)}">
+                    <i class="fas fa-chevron-${collapsed ? 'right' : 'down'}"></i>
+                    ${group.icon ? `<i class="fas ${group.icon}" ${group.color ? `style="color: ${group.color};"` : ''}></i>` : ''}
+                    <span class="task-group-name">${this.escapeHtml(group.name)}</span>
+                    <span class="task-group-count">${group.tasks.length}</span>
+                </button>
+                ${collapsed ? '' : `
+                    <div class="task-group-tasks">
+                        ${group.tasks.map(task => this.renderTaskCard(task)).join('')}
+                    </div>
+                `}
+            </section>
+        `;
+    }
+
+    toggleTaskGroup(key) {
+        // Like task expansion, collapsed groups are remembered for this page only
+        if (this.collapsedGroups.has(key)) {
+            this.collapsedGroups.delete(key);
+        } else {
+            this.collapsedGroups.add(key);
+        }
+        this.renderTasks();
+    }
+
+    // A column per workflow state or per member; cards in a column follow the chosen sort
+    renderBoard(tasks) {
+        const columns = TaskOrder.group(tasks, this.board, { game: this.currentGame, members: this.members }, true);
+        return columns.map(column => `
+            <div class="board-column ${column.done ? 'done' : ''} ${column.leftover ? 'leftover' : ''}" data-column="${this.escapeHtml(column.id)}"
+                ${column.leftover ? 'title="Left over from an earlier setup: tasks can be moved out, not in"' : ''}>
+                <div class="board-column-header">
+                    <i class="fas ${column.icon}"></i>
+                    <span class="task-group-name">${this.escapeHtml(column.name)}</span>
+                    <span class="task-group-count">${column.tasks.length}</span>
+                </div>
+                <div class="board-column-cards">
+                    ${column.tasks.map(task => this.renderBoardCard(task)).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Open tasks rated for both priority (rows) and urgency (columns), most pressing at the top left
+    renderMatrix(tasks) {
+        // Categories without priority or urgency fields (documentation, say) are left out
+        const open = tasks.filter(task => !Workflow.isDone(this.currentGame, task.status)
+            && Categories.hasField(this.currentGame, task.category, 'priority')
+            && Categories.hasField(this.currentGame, task.category, 'urgency'));
+        const rated = open.filter(task => TASK_LEVELS.includes(task.priority) && TASK_LEVELS.includes(task.urgency));
+        const unrated = open.length - rated.length;
+        const label = level => level[0].toUpperCase() + level.slice(1);
+
+        return `
+            <div class="triage-matrix">
+                <div class="matrix-corner">Priority &darr; &middot; Urgency &rarr;</div>
+                ${TASK_LEVELS.map(urgency => `<div class="matrix-axis">${label(urgency)}</div>`).join('')}
+                ${TASK_LEVELS.map(priority => `
+                    <div class="matrix-axis">${label(priority)}</div>
+                    ${TASK_LEVELS.map(urgency => {
+                        const cell = rated.filter(task => task.priority === priority && task.urgency === urgency);
+                        return `
+                            <div class="matrix-cell" data-column="${priority}:${urgency}" title="Priority ${label(priority)}, urgency ${label(urgency)}: click to list these tasks">
+                                <span class="task-group-count">${cell.length}</span>
+                                ${cell.map(task => this.renderBoardCard(task)).join('')}
+                            </div>
+                        `;
+                    }).join('')}
+                `).join('')}
+            </div>
+            ${unrated > 0 ? `<p class="matrix-note">${unrated} open task${unrated === 1 ? ' has' : 's have'} no priority or urgency and ${unrated === 1 ? 'is' : 'are'} not shown.</p>` : ''}
+        `;
+    }
+
+    // Clicking a cell of the matrix lists its open tasks
+    showMatrixCell(columnId) {
+        const [priority, urgency] = columnId.split(':');
+        this.applyView({
+            ...this.currentView(),
+            board: null,
+            filters: { ...this.filters, priority: priority, urgency: urgency, status: 'active' }
+        });
+    }
+
+    renderBoardCard(task) {
+        const state = Workflow.state(this.currentGame, task.status);
+        const category = Categories.get(this.currentGame, task.category);
+        const assigneeName = task.assignee ? this.members.find(m => m.id === task.assignee)?.name : null;
+        const commentCount = task.comments ? task.comments.length : 0;
+
+        return `
+            <div class="board-card ${state.done ? 'completed' : ''}" draggable="true" data-task-id="${task.id}" title="Drag to another column, or click to edit">
+                <div class="board-card-title"><span class="task-key">${this.escapeHtml(task.key || '')}</span>${this.highlight(this.escapeHtml(task.title))}</div>
+                <div class="board-card-meta">
+                    <span class="task-category"><i class="fas ${category.icon}" style="color: ${category.color};"></i></span>
+                    ${task.priority && this.board !== 'matrix' ? `<span class="task-priority ${task.priority}">${task.priority.toUpperCase()}</span>` : ''}
+                    ${this.board !== 'status' ? `<span class="task-state ${state.done ? 'done' : ''}">${this.escapeHtml(state.name)}</span>` : ''}
+                    ${this.board !== 'assignee' && assigneeName ? `<span class="task-assignee">${this.escapeHtml(assigneeName)}</span>` : ''}
+                    ${commentCount > 0 ? `<span class="task-comments"><i class="fas fa-comments"></i> ${commentCount}</span>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // Dropping a card in another column moves the task there, the way its buttons or the task form would
+    async moveTaskOnBoard(taskId, columnId) {
+        const found = this.findTask(taskId);
+        if (!found) return;
+        const task = found.task;
+
+        if (this.board === 'status') {
+            if (task.status === columnId) return;
+            // Through the workflow's transitions, so moving to a done state asks for completion details
+            const index = Workflow.transitionsFrom(this.currentGame, task.status).findIndex(transition => transition.to === columnId);
+            if (index === -1) {
+                this.showNotification(`The workflow has no move from ${Workflow.state(this.currentGame, task.status).name} to ${Workflow.state(this.currentGame, columnId).name}.`, 'error');
+                return;
+            }
+            await this.transitionTask(taskId, index);
+        } else if (this.board === 'matrix') {
+            // Only tasks whose category uses both fields are on the matrix
+            const [priority, urgency] = columnId.split(':');
+            if (task.priority === priority && task.urgency === urgency) return;
+            const actor = await this.askForActor(`Rate "${task.title}" ${priority} priority, ${urgency} urgency`);
+            if (!actor) return;
+            await this.changeTaskFields(taskId, { priority: priority, urgency: urgency }, actor,
+                `Re-rate task "${task.title}"`, `Task rated ${priority} priority, ${urgency} urgency.`);
+        } else {
+            const assignee = columnId === 'none' ? null : columnId;
+            if ((task.assignee || null) === assignee) return;
+            if (assignee && !this.members.some(m => m.id === assignee)) return; // not a column a task can be moved to
+            if (!Categories.hasField(this.currentGame, task.category, 'assignee')) {
+                this.showNotification(`Tasks in ${Categories.get(this.currentGame, task.category).name} are not assigned to anyone.`, 'error');
+                return;
+            }
+            const member = this.members.find(m => m.id === assignee);
+            const message = member ? `Assign task "${task.title}" to ${member.name}` : `Unassign task "${task.title}"`;
+            const actor = await this.askForActor(message);
+            if (!actor) return;
+            await this.changeTaskFields(taskId, { assignee: assignee }, actor, message,
+                member ? `Task assigned to ${member.name}.` : 'Task unassigned.');
+        }
+    }
+
+    // Change some fields of a task from the board, recorded in its activity like an edit by `actor`
+    async changeTaskFields(taskId, changes, actor, message, notice) {
+        try {
+            const found = this.findTask(taskId);
+            if (!found) return;
+
+            const task = found.task;
+            const before = { ...task };
+            Object.assign(task, changes);
+            TaskHistory.recordChanges(task, before, actor);
+
+            await this.saveData(message);
+
+            // Update UI
+            this.renderTasks();
+            this.updateStatistics();
+            this.showNotification(notice, 'success');
+        } catch (error) {
+            console.error('Error updating task:', error);
+            this.showNotification('Error updating task. Please try again.', 'error');
+        }
+    }
+
+    // List or board
+    setBoard(board) {
+        this.board = board || null;
+        this.renderTaskListControls();
+        this.renderTasks();
+        this.viewChanged();
+    }
+
+    // The layout, sort and group pickers, from the view and this.taskList
+    renderTaskListControls() {
+        const layoutSelect = document.getElementById('taskLayout');
+        const sortSelect = document.getElementById('taskSort');
+        const groupSelect = document.getElementById('taskGroupBy');
+        if (sortSelect.options.length === 0) {
+            layoutSelect.add(new Option('List', ''));
+            Object.entries(BOARD_LAYOUTS).forEach(([id, name]) => layoutSelect.add(new Option(name, id)));
+            Object.entries(TASK_SORTS).forEach(([id, name]) => sortSelect.add(new Option(name, id)));
+            Object.entries(TASK_GROUPS).forEach(([id, name]) => groupSelect.add(new Option(name, id)));
+        }
+        layoutSelect.value = this.board || '';
+        sortSelect.value = this.taskList.sort;
+        groupSelect.value = this.taskList.groupBy;
+        // The board's columns are its groups
+        groupSelect.disabled = Boolean(this.board);
+    }
+
+    // Change the sort or grouping, and remember it for whoever is using the page
+    async setTaskList(changes) {
+        this.taskList = TaskOrder.normalize({ ...this.taskList, ...changes });
+        TaskOrder.saveToBrowser(this.taskList);
+        this.renderTaskListControls();
+        this.renderTasks();
+
+        const owner = this.preferencesOwner();
+        if (owner) {
+            const saved = await this.savePreferences({ taskList: this.taskList }, `Change task list order for ${owner.name}`);
+            if (!saved) {
+                this.showNotification('Error saving your sort and grouping. They are kept in this browser only.', 'error');
+            }
+        }
+    }
+
+    // The tasks of the current view in the chosen order, and how many the category has in all
+    visibleTasks() {
+        let tasks = [];
+        
+        if (this.currentCategory === 'all') {
+            // Get all tasks from all categories
+            Object.values(this.currentGame.issues || {}).forEach(categoryTasks => {
+                tasks = tasks.concat(categoryTasks);
+            });
+        } else {
+            // Get tasks from specific category
+            tasks = this.currentGame.issues?.[this.currentCategory] || [];
+        }
+
+        // The search box and the filter panel, together
+        const total = tasks.length;
+        const search = { ...this.search, filters: [...this.search.filters, ...TaskViews.searchFilters(this.filters)] };
+        this.searchMatches = new Map();
+        if (!TaskSearch.isEmpty(search)) {
+            const context = { game: this.currentGame, members: this.members, currentMember: this.currentMember };
+            tasks = tasks.filter(task => {
+                const fields = TaskSearch.match(task, search, context);
+                if (fields) this.searchMatches.set(task.id, fields);
+                return fields !== null;
+            });
+        }
+
+        tasks = TaskOrder.sort(tasks, this.taskList.sort, { game: this.currentGame, members: this.members });
+        return { tasks: tasks, total: total };
+    }
+
+    // Under the search box: how many tasks match the search and filters, or what is wrong with the query
+    renderSearchHint(shown, total) {
+        const hint = document.getElementById('searchHint');
+        if (this.search.errors.length > 0) {
+            hint.textContent = this.search.errors.join('; ');
+            hint.className = 'search-hint error';
+        } else if (!TaskSearch.isEmpty(this.search) || TaskViews.activeCount(this.filters) > 0) {
+            hint.textContent = `${shown} of ${total} task${total === 1 ? '' : 's'} match`;
+            hint.className = 'search-hint';
+        } else {
+            hint.textContent = '';
+            hint.className = 'search-hint';
+        }
+    }
+
+    // Escaped HTML with the words of the current search marked
+    highlight(html) {
+        return TaskSearch.highlight(html, this.search);
+    }
+
          renderTaskCard(task) {
          const priorityClass = task.priority ? `task-priority ${task.priority}` : '';
          const priorityText = task.priority ? task.priority.toUpperCase() : '';
          const assigneeName = task.assignee ? this.members.find(m => m.id === task.assignee)?.name : null;
          const commentCount = task.comments ? task.comments.length : 0;
-         const isExpanded = task.isExpanded || false;
+         const openThreads = TaskManager.unresolvedThreads(task).length;
+         const isExpanded = this.expandedTasks.has(task.id);
          const mediaThumbnails = this.renderMediaThumbnails(task.mediaLinks);
+         const state = Workflow.state(this.currentGame, task.status);
+         const category = Categories.get(this.currentGame, task.category);
+         const hiddenMatches = [...(this.searchMatches.get(task.id) || [])]
+             .filter(field => field !== 'title' && field !== 'description')
+             .map(field => SEARCH_FIELDS[field]);
         
         return `
-            <div class="task-card ${task.status === 'completed' ? 'completed' : ''}" data-task-id="${task.id}">
+            <div class="task-card ${state.done ? 'completed' : ''}" data-task-id="${task.id}">
                 <!-- Summary View -->
                 <div class="task-summary">
                     <div class="task-header">
-                        <div class="task-title">${this.escapeHtml(task.title)}</div>
+                        <div class="task-title"><span class="task-key">${this.escapeHtml(task.key || '')}</span>${this.highlight(this.escapeHtml(task.title))}</div>
                         <div class="task-status-indicator">
-                            ${task.status === 'completed' ? '<i class="fas fa-check-circle"></i>' : '<i class="fas fa-circle"></i>'}
+                            ${state.done ? '<i class="fas fa-check-circle"></i>' : '<i class="fas fa-circle"></i>'}
                         </div>
                     </div>
                                          <div class="task-meta">
+                         <span class="task-state ${state.done ? 'done' : ''}">${this.escapeHtml(state.name)}</span>
+                         ${this.currentCategory === 'all' ? `<span class="task-category"><i class="fas ${category.icon}" style="color: ${category.color};"></i> ${this.escapeHtml(category.name)}</span>` : ''}
                          ${priorityText ? `<span class="${priorityClass}">${priorityText}</span>` : ''}
                          ${assigneeName ? `<span class="task-assignee">Assigned to ${this.escapeHtml(assigneeName)}</span>` : ''}
                          ${commentCount > 0 ? `<span class="task-comments"><i class="fas fa-comments"></i> ${commentCount}</span>` : ''}
+                         ${openThreads > 0 ? `<span class="task-threads" title="Unresolved comment threads"><i class="fas fa-comment-dots"></i> ${openThreads} unresolved</span>` : ''}
+                         ${hiddenMatches.length > 0 ? `<span class="search-match"><i class="fas fa-search"></i> Found in ${hiddenMatches.join(', ')}</span>` : ''}
                          ${mediaThumbnails}
                          <span class="task-date">${new Date(task.createdAt).toLocaleDateString()}</span>
                      </div>
                     <div class="task-description-summary">
-                        ${this.escapeHtml(task.description || 'No description').substring(0, 100)}${(task.description && task.description.length > 100) ? '...' : ''}
+                        ${this.highlight(this.escapeHtml(TaskSearch.excerpt(task.description || 'No description', this.search, 100)))}
                     </div>
                     <div class="expand-indicator">
                         <i class="fas fa-chevron-${isExpanded ? 'up' : 'down'}"></i>
@@ -404,44 +1474,28 @@ class TaskManager {
                 <div class="task-expanded ${isExpanded ? 'expanded' : ''}" style="display: ${isExpanded ? 'block' : 'none'};">
                     <div class="task-full-description">
                         <h4>Full Description:</h4>
-                        <p>${this.escapeHtml(task.description || 'No description')}</p>
+                        <p>${task.description ? this.highlight(this.formatText(task.description)) : 'No description'}</p>
                     </div>
                     
                     ${task.completionComment || task.completedBy ? `
                         <div class="completion-details">
                             <h4>Completion Details:</h4>
                             ${task.completedBy ? `<p><strong>Completed by:</strong> ${this.escapeHtml(task.completedBy)}</p>` : ''}
-                            ${task.completionComment ? `<p><strong>Notes:</strong> ${this.escapeHtml(task.completionComment)}</p>` : ''}
+                            ${task.completionComment ? `<p><strong>Notes:</strong> ${this.highlight(this.escapeHtml(task.completionComment))}</p>` : ''}
                         </div>
                     ` : ''}
                     
                                          ${this.renderMediaSection(task.mediaLinks)}
                      
-                     ${task.comments && task.comments.length > 0 ? `
-                         <div class="task-comments-section">
-                             <h4>Comments (${task.comments.length}):</h4>
-                             ${task.comments.map(comment => `
-                                 <div class="comment-item ${comment.status}">
-                                     <div class="comment-header">
-                                         <span class="comment-author">${this.escapeHtml(comment.author || 'Anonymous')}</span>
-                                         <span class="comment-date">${new Date(comment.createdAt).toLocaleDateString()}</span>
-                                         <span class="comment-status ${comment.status}">${comment.status}</span>
-                                     </div>
-                                     <div class="comment-text">${this.escapeHtml(comment.text)}</div>
-                                 </div>
-                             `).join('')}
-                         </div>
-                     ` : ''}
+                     ${this.renderComments(task)}
+                    
+                    ${this.renderTimeline(task)}
                     
                     <div class="task-actions">
-                        ${task.status === 'open' ? 
-                            `<button class="task-btn complete">
-                                <i class="fas fa-check"></i> Complete
-                            </button>` :
-                            `<button class="task-btn reopen">
-                                <i class="fas fa-undo"></i> Reopen
-                            </button>`
-                        }
+                        ${this.renderTransitionButtons(task)}
+                        <button class="task-btn edit">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
                         <button class="task-btn comment">
                             <i class="fas fa-comment"></i> Comment
                         </button>
@@ -454,33 +1508,129 @@ class TaskManager {
         `;
     }
 
+    // Comments that start a thread, with their replies underneath. Replies whose
+    // thread is gone (deleted while the reply was being written) show as threads.
+    renderComments(task) {
+        const comments = task.comments || [];
+        if (comments.length === 0) return '';
+
+        const threads = comments.filter(comment => !comment.parentId || !comments.some(c => c.id === comment.parentId));
+        return `
+            <div class="task-comments-section">
+                <h4>Comments (${comments.length}):</h4>
+                ${threads.map(thread => `
+                    <div class="comment-thread">
+                        ${this.renderComment(thread, !thread.parentId)}
+                        ${comments.filter(c => c.parentId === thread.id).map(reply => this.renderComment(reply, false)).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderComment(comment, isThread) {
+        const status = comment.status || 'open';
+        // Without sign-in anyone may try; the comment form then checks who is picked
+        const canChange = !this.currentMember || this.isCommentAuthor(comment, this.currentMember);
+
+        return `
+            <div class="comment-item ${isThread ? status : 'reply'}" data-comment-id="${comment.id}">
+                <div class="comment-header">
+                    <div class="comment-meta">
+                        <span class="comment-author">${this.escapeHtml(comment.author || 'Anonymous')}</span>
+                        <span class="comment-date">${new Date(comment.createdAt).toLocaleDateString()}</span>
+                        ${comment.editedAt ? `<span class="comment-edited" title="Edited ${new Date(comment.editedAt).toLocaleString()}">(edited)</span>` : ''}
+                    </div>
+                    ${isThread ? `<span class="comment-status ${status}">${status}</span>` : ''}
+                </div>
+                <div class="comment-text">${this.highlight(this.formatText(comment.text))}</div>
+                <div class="comment-actions">
+                    ${isThread ? `
+                        <button class="comment-action" data-action="reply"><i class="fas fa-reply"></i> Reply</button>
+                        ${status === 'open'
+                            ? '<button class="comment-action" data-action="resolve"><i class="fas fa-check"></i> Resolve</button>'
+                            : '<button class="comment-action" data-action="reopen"><i class="fas fa-undo"></i> Reopen</button>'}
+                    ` : ''}
+                    ${canChange ? `
+                        <button class="comment-action" data-action="edit"><i class="fas fa-edit"></i> Edit</button>
+                        <button class="comment-action" data-action="delete"><i class="fas fa-trash"></i> Delete</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // Threads on a task that are still open
+    static unresolvedThreads(task) {
+        return (task.comments || []).filter(comment => !comment.parentId && (comment.status || 'open') === 'open');
+    }
+
+    // One button per move the workflow allows from the task's state
+    renderTransitionButtons(task) {
+        return Workflow.transitionsFrom(this.currentGame, task.status).map((transition, index) => {
+            const done = Workflow.isDone(this.currentGame, transition.to);
+            const leavingDone = Workflow.isDone(this.currentGame, task.status);
+            const [style, icon] = done ? ['complete', 'fa-check'] : leavingDone ? ['reopen', 'fa-undo'] : ['progress', 'fa-arrow-right'];
+            return `
+                <button class="task-btn transition ${style}" data-transition="${index}" title="Move to ${this.escapeHtml(Workflow.state(this.currentGame, transition.to).name)}">
+                    <i class="fas ${icon}"></i> ${this.escapeHtml(transition.name)}
+                </button>
+            `;
+        }).join('');
+    }
+
+    // Everything that happened to the task, oldest first
+    renderTimeline(task) {
+        const events = TaskHistory.timeline(task);
+        if (events.length === 0) {
+            return '';
+        }
+
+        const memberName = memberId => this.members.find(m => m.id === memberId)?.name || 'a former member';
+        return `
+            <div class="task-timeline">
+                <h4>Activity (${events.length}):</h4>
+                ${events.map(event => `
+                    <div class="timeline-item ${event.type}">
+                        <i class="fas ${TaskHistory.icon(event.type)}"></i>
+                        <div class="timeline-text">
+                            <span class="timeline-actor">${this.escapeHtml(event.actor ? event.actor.name : 'Someone')}</span>
+                            ${TaskHistory.describe(event, memberName, text => this.escapeHtml(text), id => Workflow.state(this.currentGame, id).name)}
+                            <span class="timeline-date">${new Date(event.at).toLocaleString()}</span>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
     toggleTaskExpansion(taskId) {
-        // Find the task and toggle its expanded state
-        for (const tasks of Object.values(this.currentGame.issues || {})) {
-            const task = tasks.find(t => t.id === taskId);
-            if (task) {
-                task.isExpanded = !task.isExpanded;
-                this.renderTasks(); // Re-render to show the change
-                break;
-            }
+        // Expansion is remembered for this page only, not saved with the task
+        if (this.expandedTasks.has(taskId)) {
+            this.expandedTasks.delete(taskId);
+        } else {
+            this.expandedTasks.add(taskId);
         }
+        this.renderTasks(); // Re-render to show the change
     }
 
-    showCompletionModal(taskId) {
+    // Moving into a done state asks who finished the task and how
+    showCompletionModal(taskId, status) {
         this.currentTaskId = taskId;
+        this.completionStatus = status;
         this.showModal('completionModal');
     }
 
     async completeTaskWithComment() {
         const comment = document.getElementById('completionComment').value.trim();
-        const completedById = document.getElementById('completionAuthor').value;
+        const completer = this.actorFrom('completionAuthor');
         
-        if (!completedById) {
+        if (!completer) {
             this.showNotification('Please select a team member.', 'error');
             return;
         }
         
-        const completedBy = this.members.find(m => m.id === completedById)?.name || 'Unknown';
+        const completedBy = completer.name;
         
         try {
             // Find the task in the current game
@@ -497,13 +1647,13 @@ class TaskManager {
             }
             
             if (task) {
-                task.status = 'completed';
-                task.updatedAt = new Date().toISOString();
+                task.status = this.completionStatus;
                 task.completionComment = comment;
                 task.completedBy = completedBy;
+                TaskHistory.record(task, 'completed', completer, { comment: comment || null, to: task.status });
                 
-                // Save to GitHub
-                await this.saveData();
+                // Save to storage
+                await this.saveData(`Complete task "${task.title}"`);
                 
                 // Update UI
                 this.renderTasks();
@@ -520,65 +1670,134 @@ class TaskManager {
         }
     }
 
-    showCommentModal(taskId) {
+    // The comment form adds a comment, replies to a thread, edits a comment or deletes one
+    showCommentModal(taskId, action = 'comment', commentId = null) {
+        const found = this.findTask(taskId);
+        if (!found) return;
+        const comment = (found.task.comments || []).find(c => c.id === commentId) || null;
+
         this.currentTaskId = taskId;
+        this.commentAction = { action: action, commentId: commentId };
+
+        const labels = {
+            comment: ['Add Comment', 'fa-comment', 'Add Comment'],
+            reply: ['Reply', 'fa-reply', 'Post Reply'],
+            edit: ['Edit Comment', 'fa-edit', 'Save Changes'],
+            delete: ['Delete Comment', 'fa-trash', 'Delete']
+        };
+        const [title, icon, submit] = labels[action];
+        document.getElementById('commentModalTitle').textContent = title;
+        document.getElementById('commentFormSubmit').innerHTML = `<i class="fas ${icon}"></i> ${submit}`;
+
+        const commentText = document.getElementById('commentText');
+        commentText.value = action === 'edit' ? comment.text : '';
+        commentText.required = action !== 'delete';
+        document.getElementById('commentTextGroup').style.display = action === 'delete' ? 'none' : '';
+
+        const notice = document.getElementById('commentDeleteNotice');
+        notice.style.display = action === 'delete' ? 'block' : 'none';
+        if (action === 'delete') {
+            const replyCount = found.task.comments.filter(c => c.parentId === commentId).length;
+            notice.textContent = `Delete this comment by ${comment.author || 'Anonymous'}?` +
+                (replyCount > 0 ? ` Its ${replyCount} ${replyCount === 1 ? 'reply is' : 'replies are'} deleted with it.` : '');
+        }
+
         this.showModal('commentModal');
     }
 
+    submitCommentForm() {
+        const { action } = this.commentAction || { action: 'comment' };
+        if (action === 'edit') {
+            this.editComment();
+        } else if (action === 'delete') {
+            this.deleteComment();
+        } else {
+            this.addComment();
+        }
+    }
+
+    // Comments written before author ids were stored are matched by name
+    isCommentAuthor(comment, member) {
+        if (!member) return false;
+        return comment.authorId ? comment.authorId === member.id : comment.author === member.name;
+    }
+
+    // The task and comment the comment form is acting on, checking the actor wrote the comment
+    commentForChange(actor) {
+        const found = this.findTask(this.currentTaskId);
+        const comment = found && (found.task.comments || []).find(c => c.id === this.commentAction.commentId);
+        if (!comment) {
+            this.showNotification('This comment no longer exists.', 'error');
+            return null;
+        }
+        if (!this.isCommentAuthor(comment, actor)) {
+            this.showNotification(`Only ${comment.author || 'its author'} can change this comment.`, 'error');
+            return null;
+        }
+        return { task: found.task, comment: comment };
+    }
+
+    closeCommentModal() {
+        this.renderTasks();
+        this.hideModal('commentModal');
+        document.getElementById('commentText').value = '';
+        document.getElementById('commentAuthor').value = '';
+    }
+
     async addComment() {
         const commentText = document.getElementById('commentText').value.trim();
-        const commentAuthorId = document.getElementById('commentAuthor').value;
         
         if (!commentText) {
             this.showNotification('Please enter a comment.', 'error');
             return;
         }
         
-        if (!commentAuthorId) {
+        const author = this.actorFrom('commentAuthor');
+        if (!author) {
             this.showNotification('Please select a team member.', 'error');
             return;
         }
         
-        const commentAuthor = this.members.find(m => m.id === commentAuthorId)?.name || 'Unknown';
+        const parentId = this.commentAction && this.commentAction.action === 'reply' ? this.commentAction.commentId : null;
         
         try {
-            // Find the task in the current game
-            let task = null;
+            const found = this.findTask(this.currentTaskId);
             
-            for (const tasks of Object.values(this.currentGame.issues || {})) {
-                const foundTask = tasks.find(t => t.id === this.currentTaskId);
-                if (foundTask) {
-                    task = foundTask;
-                    break;
-                }
-            }
-            
-            if (task) {
+            if (found) {
+                const task = found.task;
                 if (!task.comments) {
                     task.comments = [];
                 }
                 
                 const comment = {
-                    id: Date.now().toString(),
+                    id: DataMerger.newId(),
                     text: commentText,
-                    author: commentAuthor,
-                    createdAt: new Date().toISOString(),
-                    status: 'open' // open, resolved, closed
+                    author: author.name,
+                    authorId: author.id || null,
+                    createdAt: new Date().toISOString()
                 };
                 
+                // Replies belong to a thread; only the comment starting a thread is resolved or reopened
+                if (parentId) {
+                    comment.parentId = parentId;
+                } else {
+                    comment.status = 'open'; // open, resolved, closed
+                }
+                
                 task.comments.push(comment);
-                task.updatedAt = new Date().toISOString();
+                if (parentId) {
+                    TaskHistory.record(task, 'reply', author, { commentId: comment.id, parentId: parentId, text: commentText });
+                } else {
+                    TaskHistory.record(task, 'comment', author, { commentId: comment.id, text: commentText });
+                }
                 
-                // Save to GitHub
-                await this.saveData();
+                // Save to storage
+                await this.saveData(parentId ? `Reply on task "${task.title}"` : `Comment on task "${task.title}"`);
                 
                 // Update UI
-                this.renderTasks();
-                this.hideModal('commentModal');
-                document.getElementById('commentText').value = '';
-                document.getElementById('commentAuthor').value = '';
+                this.closeCommentModal();
                 
-                this.showNotification('Comment added successfully!', 'success');
+                this.showNotification(parentId ? 'Reply added successfully!' : 'Comment added successfully!', 'success');
             }
         } catch (error) {
             console.error('Error adding comment:', error);
@@ -586,6 +1805,121 @@ class TaskManager {
         }
     }
 
+    async editComment() {
+        const commentText = document.getElementById('commentText').value.trim();
+        if (!commentText) {
+            this.showNotification('Please enter a comment.', 'error');
+            return;
+        }
+
+        const editor = this.actorFrom('commentAuthor');
+        if (!editor) {
+            this.showNotification('Please select a team member.', 'error');
+            return;
+        }
+
+        const target = this.commentForChange(editor);
+        if (!target) return;
+        const { task, comment } = target;
+
+        if (comment.text === commentText) {
+            this.hideModal('commentModal');
+            return;
+        }
+
+        try {
+            // Only the new text is kept
+            const previousTexts = [comment.text, ...TaskHistory.forgetCommentText(task, [comment.id])];
+            comment.text = commentText;
+            comment.editedAt = new Date().toISOString();
+            TaskHistory.record(task, 'comment-edited', editor, { commentId: comment.id, text: commentText });
+
+            await this.saveData(`Edit comment on task "${task.title}"`, this.withoutNotificationText(task, [comment.id], previousTexts));
+
+            this.closeCommentModal();
+            this.showNotification('Comment updated successfully!', 'success');
+        } catch (error) {
+            console.error('Error editing comment:', error);
+            this.showNotification('Error editing comment. Please try again.', 'error');
+        }
+    }
+
+    // Deleting the comment that starts a thread deletes its replies too
+    async deleteComment() {
+        const deleter = this.actorFrom('commentAuthor');
+        if (!deleter) {
+            this.showNotification('Please select a team member.', 'error');
+            return;
+        }
+
+        const target = this.commentForChange(deleter);
+        if (!target) return;
+        const { task, comment } = target;
+
+        try {
+            // Their text goes from the activity history and notifications as well
+            const deleted = task.comments.filter(c => c.id === comment.id || c.parentId === comment.id);
+            const commentIds = deleted.map(c => c.id);
+            const texts = [...deleted.map(c => c.text), ...TaskHistory.forgetCommentText(task, commentIds)];
+            task.comments = task.comments.filter(c => !commentIds.includes(c.id));
+            TaskHistory.record(task, 'comment-deleted', deleter, { commentId: comment.id });
+
+            await this.saveData(`Delete comment on task "${task.title}"`, this.withoutNotificationText(task, commentIds, texts));
+
+            this.closeCommentModal();
+            this.showNotification('Comment deleted successfully!', 'success');
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            this.showNotification('Error deleting comment. Please try again.', 'error');
+        }
+    }
+
+    // The inbox update for saveData that drops comment texts from the notifications
+    // of the members they mentioned, or null if they mentioned nobody
+    withoutNotificationText(task, commentIds, texts) {
+        const memberIds = texts.flatMap(text => Mentions.find(text, this.members)).map(member => member.id);
+        if (memberIds.length === 0) return null;
+
+        return {
+            memberIds: memberIds,
+            update: notification => NotificationInbox.withoutCommentText(notification, task.id, commentIds, texts)
+        };
+    }
+
+    // Resolve or reopen the thread a comment starts
+    async setThreadStatus(taskId, commentId, status) {
+        const threadComment = () => {
+            const found = this.findTask(taskId);
+            const comment = found && (found.task.comments || []).find(c => c.id === commentId);
+            return comment && !comment.parentId ? { found: found, comment: comment } : null;
+        };
+        const target = threadComment();
+        if (!target) return;
+
+        const actor = await this.askForActor(`${status === 'resolved' ? 'Resolve' : 'Reopen'} a comment thread on "${target.found.task.title}"`);
+        if (!actor) return;
+        // Looked up again: the game may have been reloaded while the form was open
+        const current = threadComment();
+        if (!current) {
+            this.showNotification('This comment no longer exists.', 'error');
+            return;
+        }
+        const { found, comment } = current;
+
+        try {
+            comment.status = status;
+            TaskHistory.record(found.task, status === 'resolved' ? 'comment-resolved' : 'comment-reopened', actor, { commentId: comment.id });
+
+            await this.saveData(`${status === 'resolved' ? 'Resolve' : 'Reopen'} comment on task "${found.task.title}"`);
+
+            this.renderTasks();
+            this.showNotification(status === 'resolved' ? 'Thread resolved.' : 'Thread reopened.', 'success');
+        } catch (error) {
+            console.error('Error updating comment thread:', error);
+            this.showNotification('Error updating comment thread. Please try again.', 'error');
+        }
+    }
+
     showDeleteModal(taskId) {
         this.currentTaskId = taskId;
         
@@ -605,19 +1939,19 @@ class TaskManager {
 
     async confirmDeleteTask() {
         const deleteReason = document.getElementById('deleteReason').value.trim();
-        const deletedById = document.getElementById('deleteAuthor').value;
         
         if (!deleteReason) {
             this.showNotification('Please provide a reason for deletion.', 'error');
             return;
         }
         
-        if (!deletedById) {
+        const deleter = this.actorFrom('deleteAuthor');
+        if (!deleter) {
             this.showNotification('Please select a team member.', 'error');
             return;
         }
         
-        const deletedBy = this.members.find(m => m.id === deletedById)?.name || 'Unknown';
+        const deletedBy = deleter.name;
         
         if (this.currentTaskId) {
             try {
@@ -635,6 +1969,8 @@ class TaskManager {
                 }
                 
                 if (taskToDelete) {
+                    TaskHistory.record(taskToDelete, 'deleted', deleter, { reason: deleteReason });
+                    
                     // Add to deleted tasks with reason
                     const deletedTask = {
                         ...taskToDelete,
@@ -651,8 +1987,8 @@ class TaskManager {
                         this.currentGame.issues[category].splice(index, 1);
                     }
                     
-                    // Save to GitHub
-                    await this.saveData();
+                    // Save to storage
+                    await this.saveData(`Delete task "${taskToDelete.title}"`);
                     
                     // Update UI
                     this.renderTasks();
@@ -663,52 +1999,58 @@ class TaskManager {
                     
                     this.showNotification('Task deleted successfully!', 'success');
                 }
-            } catch (error) {
-                console.error('Error deleting task:', error);
-                this.showNotification('Error deleting task. Please try again.', 'error');
-            }
-        }
-    }
-
-    async toggleTaskComplete(taskId) {
-        try {
-            // Find the task in the current game
-            let task = null;
-            let category = null;
-            
-            for (const [cat, tasks] of Object.entries(this.currentGame.issues || {})) {
-                const foundTask = tasks.find(t => t.id === taskId);
-                if (foundTask) {
-                    task = foundTask;
-                    category = cat;
-                    break;
-                }
+            } catch (error) {
+                console.error('Error deleting task:', error);
+                this.showNotification('Error deleting task. Please try again.', 'error');
             }
-            
-            if (task) {
-                task.status = task.status === 'completed' ? 'open' : 'completed';
-                task.updatedAt = new Date().toISOString();
-                
-                // Clear completion details if reopening
-                if (task.status === 'open') {
-                    task.completionComment = null;
-                    task.completedBy = null;
-                }
-                
-                // Save to GitHub
-                await this.saveData();
-                
-                // Update UI
-                this.renderTasks();
-                this.updateStatistics();
-                
-                this.showNotification(
-                    task.status === 'completed' ? 'Task marked as completed!' : 'Task reopened!', 
-                    'success'
-                );
+        }
+    }
+
+    // Follow one of the workflow transitions allowed from the task's state
+    async transitionTask(taskId, transitionIndex) {
+        try {
+            const found = this.findTask(taskId);
+            if (!found) return;
+
+            const task = found.task;
+            const transition = Workflow.transitionsFrom(this.currentGame, task.status)[transitionIndex];
+            if (!transition) return;
+
+            const from = task.status;
+            const wasDone = Workflow.isDone(this.currentGame, from);
+            if (Workflow.isDone(this.currentGame, transition.to) && !wasDone) {
+                this.showCompletionModal(taskId, transition.to);
+                return;
+            }
+
+            const actor = await this.askForActor(`${transition.name} "${task.title}"`);
+            if (!actor) return;
+            // The game may have been reloaded while the form was open
+            const current = this.findTask(taskId);
+            if (!current || current.task !== task || task.status !== from) {
+                this.showNotification('This task changed meanwhile. Please try again.', 'error');
+                return;
+            }
+
+            task.status = transition.to;
+            if (wasDone && !Workflow.isDone(this.currentGame, task.status)) {
+                // Clear completion details if reopening; the history keeps who completed it and why
+                task.completionComment = null;
+                task.completedBy = null;
+                TaskHistory.record(task, 'reopened', actor, { from: from, to: task.status });
+            } else {
+                TaskHistory.record(task, 'status', actor, { from: from, to: task.status });
             }
+
+            const stateName = Workflow.state(this.currentGame, task.status).name;
+            await this.saveData(`${transition.name} task "${task.title}"`);
+
+            // Update UI
+            this.renderTasks();
+            this.updateStatistics();
+            this.showNotification(`Task moved to ${stateName}.`, 'success');
         } catch (error) {
-            console.error('Error toggling task completion:', error);
+            console.error('Error moving task:', error);
             this.showNotification('Error updating task. Please try again.', 'error');
         }
     }
@@ -722,7 +2064,7 @@ class TaskManager {
         Object.values(this.currentGame.issues || {}).forEach(categoryTasks => {
             totalTasks += categoryTasks.length;
             categoryTasks.forEach(task => {
-                if (task.status === 'completed') {
+                if (Workflow.isDone(this.currentGame, task.status)) {
                     completedTasks++;
                 } else {
                     openTasks++;
@@ -733,9 +2075,40 @@ class TaskManager {
         document.getElementById('totalTasks').textContent = totalTasks;
         document.getElementById('openTasks').textContent = openTasks;
         document.getElementById('completedTasks').textContent = completedTasks;
+        
+        // Open and total tasks per category
+        document.getElementById('categoryStats').innerHTML = Categories.of(this.currentGame).map(category => {
+            const tasks = this.currentGame.issues[category.id] || [];
+            const open = tasks.filter(task => !Workflow.isDone(this.currentGame, task.status)).length;
+            return `
+                <div class="category-stat">
+                    <span><i class="fas ${category.icon}" style="color: ${category.color};"></i> ${this.escapeHtml(category.name)}</span>
+                    <span>${open} open / ${tasks.length}</span>
+                </div>
+            `;
+        }).join('');
     }
 
+    // The filter panel's member and workflow state choices, then every other member dropdown
     populateFilters() {
+        const assigneeFilter = document.getElementById('filterAssignee');
+        assigneeFilter.innerHTML = '';
+        assigneeFilter.add(new Option('Anyone', ''));
+        assigneeFilter.add(new Option('Unassigned', 'none'));
+        this.members.forEach(member => assigneeFilter.add(new Option(member.name, member.id)));
+
+        const statusFilter = document.getElementById('filterStatus');
+        statusFilter.innerHTML = '';
+        statusFilter.add(new Option('Any', ''));
+        statusFilter.add(new Option('Not done', 'active'));
+        statusFilter.add(new Option('Done', 'done'));
+        Workflow.of(this.currentGame).states.forEach(state => statusFilter.add(new Option(state.name, state.id)));
+
+        this.renderFilterPanel();
+        this.populateMemberDropdowns();
+    }
+
+    populateMemberDropdowns() {
         const assigneeSelect = document.getElementById('taskAssignee');
         if (assigneeSelect) {
             assigneeSelect.innerHTML = '<option value="">Unassigned</option>';
@@ -744,15 +2117,12 @@ class TaskManager {
             });
         }
         
-        // Populate all member dropdowns
-        this.populateMemberDropdowns();
-    }
-
-    populateMemberDropdowns() {
         const memberDropdowns = [
             'completionAuthor',
             'commentAuthor', 
-            'deleteAuthor'
+            'deleteAuthor',
+            'deletedTasksActor',
+            'changeActor'
         ];
         
         memberDropdowns.forEach(dropdownId => {
@@ -762,6 +2132,10 @@ class TaskManager {
                 this.members.forEach(member => {
                     dropdown.innerHTML += `<option value="${member.id}">${this.escapeHtml(member.name)}</option>`;
                 });
+                
+                // Signed-in members act as themselves, so there is nothing to pick
+                dropdown.required = !this.currentMember;
+                dropdown.closest('.form-group').style.display = this.currentMember ? 'none' : '';
             }
         });
     }
@@ -774,6 +2148,7 @@ class TaskManager {
     async addTeamMember() {
         const memberName = document.getElementById('memberName').value.trim();
         const memberRole = document.getElementById('memberRole').value.trim();
+        const memberGithubLogin = document.getElementById('memberGithubLogin').value.trim().replace(/^@/, '');
         
         if (!memberName) {
             this.showNotification('Please enter a member name.', 'error');
@@ -782,22 +2157,27 @@ class TaskManager {
         
         try {
             const member = {
-                id: Date.now().toString(),
+                id: DataMerger.newId(),
                 name: memberName,
                 role: memberRole || null,
+                githubLogin: memberGithubLogin || null,
                 createdAt: new Date().toISOString()
             };
             
             this.members.push(member);
             
-            // Save to GitHub
-            await this.storage.saveMembers(this.members);
+            // Save to storage
+            const savedMembers = await this.storage.saveMembers(this.members, `Add team member ${member.name}`);
+            if (savedMembers) {
+                this.members = savedMembers;
+            }
             
             // Update UI
             this.populateFilters();
             this.hideModal('addMemberModal');
             document.getElementById('memberName').value = '';
             document.getElementById('memberRole').value = '';
+            document.getElementById('memberGithubLogin').value = '';
             
             this.showNotification('Team member added successfully!', 'success');
         } catch (error) {
@@ -818,6 +2198,7 @@ class TaskManager {
                     <div class="team-member-info">
                         <h4>${this.escapeHtml(member.name)}</h4>
                         ${member.role ? `<div class="team-member-role">${this.escapeHtml(member.role)}</div>` : ''}
+                        ${member.githubLogin ? `<div class="team-member-role"><i class="fab fa-github"></i> ${this.escapeHtml(member.githubLogin)}</div>` : ''}
                     </div>
                     <div class="team-member-actions">
                         <button class="btn-remove-member" data-member-id="${member.id}">
@@ -839,10 +2220,13 @@ class TaskManager {
                 // Remove member from array
                 const index = this.members.findIndex(m => m.id === memberId);
                 if (index !== -1) {
-                    this.members.splice(index, 1);
+                    const [removedMember] = this.members.splice(index, 1);
                     
-                    // Save to GitHub
-                    await this.storage.saveMembers(this.members);
+                    // Save to storage
+                    const savedMembers = await this.storage.saveMembers(this.members, `Remove team member ${removedMember.name}`);
+                    if (savedMembers) {
+                        this.members = savedMembers;
+                    }
                     
                     // Update UI
                     this.populateFilters();
@@ -859,33 +2243,679 @@ class TaskManager {
 
     showDeletedTasks() {
         console.log('showDeletedTasks called');
+        const deleters = [...new Set(this.currentGame.deletedTasks.map(task => task.deletedBy).filter(Boolean))];
+        const deleterFilter = document.getElementById('deletedTasksDeleter');
+        deleterFilter.innerHTML = '<option value="">Deleted by anyone</option>';
+        deleters.forEach(name => deleterFilter.add(new Option(name, name)));
+
+        const policy = this.currentGame.deletedTaskPolicy;
+        document.getElementById('retentionDays').value = policy.retentionDays || '';
+        document.getElementById('purgeRoles').value = policy.purgeRoles.join(', ');
+
+        this.renderDeletedTasks();
+        this.showModal('deletedTasksModal');
+    }
+
+    // Deleted tasks matching the search and filters of the deleted tasks modal, newest first
+    filterDeletedTasks(search) {
+        const context = { game: this.currentGame, members: this.members, currentMember: this.currentMember };
+        const category = document.getElementById('deletedTasksCategory').value;
+        const deleter = document.getElementById('deletedTasksDeleter').value;
+        const age = Number(document.getElementById('deletedTasksAge').value); // days; negative: older than
+
+        return this.currentGame.deletedTasks
+            .filter(task => {
+                if (!TaskSearch.isEmpty(search) && !TaskSearch.match(task, search, context)) return false;
+                if (category && task.category !== category) return false;
+                if (deleter && task.deletedBy !== deleter) return false;
+                if (age) {
+                    const days = (Date.now() - new Date(task.deletedAt)) / DAY_MS;
+                    if (age > 0 ? days > age : days <= -age) return false;
+                }
+                return true;
+            })
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
+
+    renderDeletedTasks() {
         const deletedTasksList = document.getElementById('deletedTasksList');
-        
-        if (!this.currentGame.deletedTasks || this.currentGame.deletedTasks.length === 0) {
+        const policy = this.currentGame.deletedTaskPolicy;
+        const canPurge = this.canPurge(this.actorFrom('deletedTasksActor'));
+        document.getElementById('deletedTasksPolicyHint').textContent =
+            `Only members with the role ${policy.purgeRoles.join(' or ') || '(none set)'} can purge deleted tasks or change how long they are kept.`;
+        document.getElementById('saveDeletedTaskPolicyBtn').disabled = !canPurge;
+
+        const search = TaskSearch.parse(document.getElementById('deletedTasksSearch').value);
+        const mark = text => TaskSearch.highlight(this.escapeHtml(text), search);
+        const tasks = this.filterDeletedTasks(search);
+        if (this.currentGame.deletedTasks.length === 0) {
             deletedTasksList.innerHTML = '<p style="text-align: center; color: #64748b; padding: 2rem;">No deleted tasks found.</p>';
+        } else if (tasks.length === 0) {
+            deletedTasksList.innerHTML = '<p style="text-align: center; color: #64748b; padding: 2rem;">No deleted tasks match the filters.</p>';
         } else {
-            const deletedTasksHtml = this.currentGame.deletedTasks.map(task => `
+            const deletedTasksHtml = tasks.map(task => `
                 <div class="deleted-task-item">
                     <div class="deleted-task-header">
-                        <h4>${this.escapeHtml(task.title)}</h4>
+                        <h4><span class="task-key">${this.escapeHtml(task.key || '')}</span>${mark(task.title)}</h4>
                         <span class="deleted-date">Deleted: ${new Date(task.deletedAt).toLocaleDateString()}</span>
                     </div>
                     <div class="deleted-task-details">
-                        <p><strong>Category:</strong> ${task.category}</p>
-                        <p><strong>Description:</strong> ${this.escapeHtml(task.description || 'No description')}</p>
+                        <p><strong>Category:</strong> ${this.escapeHtml(Categories.get(this.currentGame, task.category).name)}</p>
+                        <p><strong>Description:</strong> ${mark(task.description || 'No description')}</p>
                         <p><strong>Deleted by:</strong> ${this.escapeHtml(task.deletedBy)}</p>
-                        <p><strong>Reason:</strong> ${this.escapeHtml(task.deleteReason)}</p>
+                        <p><strong>Reason:</strong> ${mark(task.deleteReason)}</p>
                         ${task.comments && task.comments.length > 0 ? `
                             <p><strong>Comments:</strong> ${task.comments.length} comment(s)</p>
                         ` : ''}
+                        ${policy.retentionDays && task.deletedAt ? `
+                            <p><strong>Purged automatically:</strong> ${new Date(new Date(task.deletedAt).getTime() + policy.retentionDays * DAY_MS).toLocaleDateString()}</p>
+                        ` : ''}
+                    </div>
+                    <div class="deleted-task-actions">
+                        <button class="btn btn-secondary restore-deleted-btn" data-task-id="${task.id}">
+                            <i class="fas fa-trash-restore"></i> Restore
+                        </button>
+                        ${canPurge ? `
+                            <button class="btn btn-danger purge-deleted-btn" data-task-id="${task.id}">
+                                <i class="fas fa-times-circle"></i> Purge
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
             `).join('');
             
             deletedTasksList.innerHTML = deletedTasksHtml;
         }
-        
-        this.showModal('deletedTasksModal');
+    }
+
+    // Purging and the retention period are limited to the roles listed in the game's policy
+    canPurge(member) {
+        const roles = this.currentGame.deletedTaskPolicy.purgeRoles.map(role => role.toLowerCase());
+        return Boolean(member && member.role && roles.includes(member.role.trim().toLowerCase()));
+    }
+
+    // Put a deleted task back into its category, keeping its history
+    async restoreDeletedTask(taskId) {
+        const restorer = this.actorFrom('deletedTasksActor');
+        if (!restorer) {
+            this.showNotification('Please select a team member.', 'error');
+            return;
+        }
+
+        const position = this.currentGame.deletedTasks.findIndex(t => t.id === taskId);
+        if (position === -1) return;
+
+        const [task] = this.currentGame.deletedTasks.splice(position, 1);
+        delete task.deletedAt;
+        delete task.deletedBy;
+        delete task.deleteReason;
+        TaskHistory.record(task, 'restored', restorer);
+
+        task.category = Categories.resolve(this.currentGame, task.category);
+        this.currentGame.issues[task.category] = this.currentGame.issues[task.category] || [];
+        this.currentGame.issues[task.category].push(task);
+
+        await this.saveData(`Restore task "${task.title}"`);
+        this.renderTasks();
+        this.updateStatistics();
+        this.renderDeletedTasks();
+        this.showNotification('Task restored successfully!', 'success');
+    }
+
+    async purgeDeletedTask(taskId) {
+        if (!this.canPurge(this.actorFrom('deletedTasksActor'))) {
+            this.showNotification('You are not allowed to purge deleted tasks.', 'error');
+            return;
+        }
+
+        const task = this.currentGame.deletedTasks.find(t => t.id === taskId);
+        const recovery = this.storage.supportsHistory ? ' It can only be recovered from the version history.' : ' This cannot be undone.';
+        if (!task || !confirm(`Permanently delete "${task.title}"?${recovery}`)) {
+            return;
+        }
+
+        this.currentGame.deletedTasks = this.currentGame.deletedTasks.filter(t => t.id !== taskId);
+        await this.saveData(`Purge deleted task "${task.title}"`);
+        this.renderDeletedTasks();
+        this.showNotification('Task purged.', 'success');
+    }
+
+    async saveDeletedTaskPolicy() {
+        if (!this.canPurge(this.actorFrom('deletedTasksActor'))) {
+            this.showNotification('You are not allowed to change the retention period.', 'error');
+            return;
+        }
+
+        const daysValue = document.getElementById('retentionDays').value.trim();
+        const retentionDays = daysValue ? Number(daysValue) : null;
+        if (retentionDays !== null && !(Number.isInteger(retentionDays) && retentionDays > 0)) {
+            this.showNotification('Enter a whole number of days, or leave it empty to keep deleted tasks forever.', 'error');
+            return;
+        }
+        const purgeRoles = document.getElementById('purgeRoles').value.split(',').map(role => role.trim()).filter(Boolean);
+        if (purgeRoles.length === 0) {
+            this.showNotification('List at least one role that may purge deleted tasks.', 'error');
+            return;
+        }
+
+        this.currentGame.deletedTaskPolicy = { retentionDays: retentionDays, purgeRoles: purgeRoles };
+        await this.saveData(retentionDays
+            ? `Keep deleted tasks for ${retentionDays} days`
+            : 'Keep deleted tasks forever');
+        await this.pruneExpiredDeletedTasks();
+        this.renderDeletedTasks();
+        this.showNotification('Retention settings saved!', 'success');
+    }
+
+    // Deleted tasks older than the game's retention period are purged when the game is opened
+    async pruneExpiredDeletedTasks() {
+        const days = this.currentGame.deletedTaskPolicy.retentionDays;
+        if (!days || (this.session.enabled && !this.currentMember)) {
+            return; // nothing to prune, or not on the team and so not allowed to save
+        }
+
+        const cutoff = Date.now() - days * DAY_MS;
+        const expired = this.currentGame.deletedTasks.filter(task => new Date(task.deletedAt).getTime() < cutoff);
+        if (expired.length === 0) return;
+
+        console.log(`Pruning ${expired.length} deleted task(s) older than ${days} days`);
+        this.currentGame.deletedTasks = this.currentGame.deletedTasks.filter(task => !expired.includes(task));
+        await this.saveData(`Prune ${expired.length} deleted task(s) older than ${days} days`);
+    }
+
+    // Workflow editor: works on a copy of the game's workflow until it is saved
+    showWorkflowEditor() {
+        this.workflowDraft = JSON.parse(JSON.stringify(Workflow.of(this.currentGame)));
+        document.getElementById('workflowNewState').value = '';
+        this.renderWorkflowEditor();
+        this.showModal('workflowModal');
+    }
+
+    renderWorkflowEditor() {
+        const draft = this.workflowDraft;
+        const stateOptions = draft.states
+            .map(state => `<option value="${state.id}">${this.escapeHtml(state.name)}</option>`)
+            .join('');
+
+        document.getElementById('workflowStates').innerHTML = draft.states.map((state, index) => `
+            <div class="workflow-row">
+                <input type="text" class="workflow-state-name" data-index="${index}" placeholder="State name">
+                <label><input type="checkbox" class="workflow-state-done" data-index="${index}" ${state.done ? 'checked' : ''}> Done</label>
+                <label><input type="radio" name="workflowInitial" class="workflow-state-initial" data-index="${index}" ${draft.initial === state.id ? 'checked' : ''}> Initial</label>
+                <button type="button" class="btn btn-secondary workflow-remove-state" data-index="${index}" title="Remove state">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+
+        document.getElementById('workflowTransitions').innerHTML = draft.transitions.length === 0
+            ? '<p class="settings-hint">No transitions: tasks would stay in their first state.</p>'
+            : draft.transitions.map((transition, index) => `
+                <div class="workflow-row">
+                    <select class="workflow-transition-from" data-index="${index}">${stateOptions}</select>
+                    <i class="fas fa-arrow-right"></i>
+                    <select class="workflow-transition-to" data-index="${index}">${stateOptions}</select>
+                    <input type="text" class="workflow-transition-name" data-index="${index}" placeholder="Button label">
+                    <button type="button" class="btn btn-secondary workflow-remove-transition" data-index="${index}" title="Remove transition">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('');
+
+        // Names are set as values rather than in the markup, so any text is safe
+        document.querySelectorAll('.workflow-state-name').forEach(input => {
+            input.value = draft.states[input.dataset.index].name;
+        });
+        document.querySelectorAll('#workflowTransitions .workflow-row').forEach((row, index) => {
+            row.querySelector('.workflow-transition-from').value = draft.transitions[index].from;
+            row.querySelector('.workflow-transition-to').value = draft.transitions[index].to;
+            row.querySelector('.workflow-transition-name').value = draft.transitions[index].name;
+        });
+    }
+
+    // Copy an edited field of the workflow editor into the draft
+    updateWorkflowDraft(input) {
+        const draft = this.workflowDraft;
+        const index = Number(input.dataset.index);
+        if (input.classList.contains('workflow-state-name')) {
+            draft.states[index].name = input.value;
+        } else if (input.classList.contains('workflow-state-done')) {
+            draft.states[index].done = input.checked;
+        } else if (input.classList.contains('workflow-state-initial')) {
+            draft.initial = draft.states[index].id;
+        } else if (input.classList.contains('workflow-transition-from')) {
+            draft.transitions[index].from = input.value;
+        } else if (input.classList.contains('workflow-transition-to')) {
+            draft.transitions[index].to = input.value;
+        } else if (input.classList.contains('workflow-transition-name')) {
+            draft.transitions[index].name = input.value;
+        }
+    }
+
+    addWorkflowState() {
+        const input = document.getElementById('workflowNewState');
+        const name = input.value.trim();
+        if (!name) {
+            this.showNotification('Please enter a name for the new state.', 'error');
+            return;
+        }
+
+        this.workflowDraft.states.push({ id: Workflow.stateId(name, this.workflowDraft.states), name: name, done: false });
+        input.value = '';
+        this.renderWorkflowEditor();
+    }
+
+    removeWorkflowState(index) {
+        const draft = this.workflowDraft;
+        const state = draft.states[index];
+        const inUse = Object.values(this.currentGame.issues || {}).flat().filter(task => task.status === state.id).length;
+        if (inUse > 0) {
+            this.showNotification(`${inUse} task(s) are ${state.name}. Move them to another state first.`, 'error');
+            return;
+        }
+
+        draft.states.splice(index, 1);
+        draft.transitions = draft.transitions.filter(t => t.from !== state.id && t.to !== state.id);
+        if (draft.initial === state.id && draft.states.length > 0) {
+            draft.initial = draft.states[0].id;
+        }
+        this.renderWorkflowEditor();
+    }
+
+    addWorkflowTransition() {
+        const states = this.workflowDraft.states;
+        if (states.length < 2) {
+            this.showNotification('Add at least two states first.', 'error');
+            return;
+        }
+        this.workflowDraft.transitions.push({ from: states[0].id, to: states[1].id, name: `Move to ${states[1].name}` });
+        this.renderWorkflowEditor();
+    }
+
+    async saveWorkflow() {
+        const workflow = this.workflowDraft;
+        workflow.states.forEach(state => { state.name = state.name.trim(); });
+        workflow.transitions.forEach(transition => { transition.name = transition.name.trim(); });
+
+        const problems = DataSchema.validateWorkflow(workflow);
+        if (workflow.transitions.some(transition => !transition.name)) {
+            problems.push('every transition needs a button label');
+        }
+        if (problems.length > 0) {
+            this.showNotification(`The workflow can't be saved: ${problems[0]}.`, 'error');
+            return;
+        }
+
+        this.currentGame.workflow = workflow;
+        await this.saveData('Update workflow');
+
+        this.populateFilters();
+        this.renderTasks();
+        this.updateStatistics();
+        this.hideModal('workflowModal');
+        this.showNotification('Workflow saved!', 'success');
+    }
+
+    showCategoryEditor() {
+        // Task lists left without a category (after a merge, say) show up so they can be named
+        this.categoriesDraft = JSON.parse(JSON.stringify(Categories.of(this.currentGame)));
+        document.getElementById('categoriesNewName').value = '';
+        this.renderCategoryEditor();
+        this.showModal('categoriesModal');
+    }
+
+    renderCategoryEditor() {
+        const fieldLabels = { priority: 'Priority', urgency: 'Urgency', assignee: 'Assignee' };
+        document.getElementById('categoriesList').innerHTML = this.categoriesDraft.map((category, index) => `
+            <div class="workflow-row category-row">
+                <i class="fas ${category.icon} category-preview" style="color: ${category.color};"></i>
+                <input type="text" class="category-name" data-index="${index}" placeholder="Category name">
+                <select class="category-icon" data-index="${index}" title="Icon">
+                    ${CATEGORY_ICONS.map(icon => `<option value="${icon}">${icon.replace('fa-', '')}</option>`).join('')}
+                </select>
+                <input type="color" class="category-color" data-index="${index}" value="${category.color}" title="Color">
+                ${CATEGORY_FIELDS.map(field => `
+                    <label><input type="checkbox" class="category-field" data-index="${index}" data-field="${field}" ${category.fields.includes(field) ? 'checked' : ''}> ${fieldLabels[field]}</label>
+                `).join('')}
+                <button type="button" class="btn btn-secondary category-remove" data-index="${index}" title="Remove category">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+
+        // Names are set as values rather than in the markup, so any text is safe
+        document.querySelectorAll('#categoriesList .category-row').forEach((row, index) => {
+            const category = this.categoriesDraft[index];
+            row.querySelector('.category-name').value = category.name;
+            const iconSelect = row.querySelector('.category-icon');
+            if (!CATEGORY_ICONS.includes(category.icon)) {
+                iconSelect.add(new Option(category.icon.replace('fa-', ''), category.icon));
+            }
+            iconSelect.value = category.icon;
+        });
+    }
+
+    // Copy an edited field of the category editor into the draft
+    updateCategoriesDraft(input) {
+        const category = this.categoriesDraft[Number(input.dataset.index)];
+        if (!category) return;
+        if (input.classList.contains('category-name')) {
+            category.name = input.value;
+        } else if (input.classList.contains('category-icon')) {
+            category.icon = input.value;
+        } else if (input.classList.contains('category-color')) {
+            category.color = input.value;
+        } else if (input.classList.contains('category-field')) {
+            // Kept in the standard order
+            const fields = new Set(category.fields);
+            input.checked ? fields.add(input.dataset.field) : fields.delete(input.dataset.field);
+            category.fields = CATEGORY_FIELDS.filter(field => fields.has(field));
+        }
+    }
+
+    addCategory() {
+        const input = document.getElementById('categoriesNewName');
+        const name = input.value.trim();
+        if (!name) {
+            this.showNotification('Please enter a name for the new category.', 'error');
+            return;
+        }
+
+        this.categoriesDraft.push({
+            id: Categories.categoryId(name, Categories.of(this.currentGame).concat(this.categoriesDraft)),
+            name: name,
+            icon: 'fa-folder',
+            color: '#64748b',
+            fields: [...CATEGORY_FIELDS]
+        });
+        input.value = '';
+        this.renderCategoryEditor();
+    }
+
+    removeCategory(index) {
+        const category = this.categoriesDraft[index];
+        const inUse = (this.currentGame.issues[category.id] || []).length;
+        if (inUse > 0) {
+            this.showNotification(`${inUse} task(s) are filed under ${category.name}. Move them to another category first.`, 'error');
+            return;
+        }
+
+        this.categoriesDraft.splice(index, 1);
+        this.renderCategoryEditor();
+    }
+
+    async saveCategories() {
+        const categories = this.categoriesDraft;
+        categories.forEach(category => { category.name = category.name.trim(); });
+
+        const problems = DataSchema.validateCategories(categories);
+        if (problems.length > 0) {
+            this.showNotification(`The categories can't be saved: ${problems[0]}.`, 'error');
+            return;
+        }
+
+        // Tasks may have been filed under a removed category since the editor opened
+        const removed = Categories.of(this.currentGame).filter(category => !categories.some(c => c.id === category.id));
+        const inUse = removed.find(category => (this.currentGame.issues[category.id] || []).length > 0);
+        if (inUse) {
+            this.showNotification(`Tasks are filed under ${inUse.name}. Move them to another category first.`, 'error');
+            return;
+        }
+
+        removed.forEach(category => delete this.currentGame.issues[category.id]);
+        categories.forEach(category => {
+            this.currentGame.issues[category.id] = this.currentGame.issues[category.id] || [];
+        });
+        this.currentGame.categories = categories;
+        await this.saveData('Update categories');
+
+        this.renderCategories();
+        this.renderTasks();
+        this.updateStatistics();
+        this.hideModal('categoriesModal');
+        this.showNotification('Categories saved!', 'success');
+    }
+
+    // Version history: past versions of this game from the storage backend (GitHub commits)
+    async showHistory() {
+        console.log('showHistory called');
+        const revisionList = document.getElementById('revisionList');
+        this.selectedRevision = null;
+        revisionList.innerHTML = '<p class="revision-empty">Loading history...</p>';
+        document.getElementById('revisionDetail').innerHTML = '<p class="revision-empty">Pick a version to see what changed since.</p>';
+        this.showModal('historyModal');
+
+        try {
+            this.revisions = await this.storage.listGameRevisions(this.currentGame);
+            this.renderRevisionList();
+        } catch (error) {
+            console.error('Error loading history:', error);
+            revisionList.innerHTML = '<p class="revision-empty">History could not be loaded. Check your connection and try again.</p>';
+        }
+    }
+
+    renderRevisionList() {
+        const revisionList = document.getElementById('revisionList');
+        if (this.revisions.length === 0) {
+            revisionList.innerHTML = '<p class="revision-empty">No saved versions yet.</p>';
+            return;
+        }
+
+        const selectedSha = this.selectedRevision ? this.selectedRevision.revision.sha : null;
+        revisionList.innerHTML = this.revisions.map(revision => `
+            <div class="revision-item ${revision.sha === selectedSha ? 'active' : ''}" data-sha="${revision.sha}">
+                <div class="revision-message">${this.escapeHtml(revision.message.split('\n')[0])}</div>
+                <div class="revision-meta">
+                    ${this.escapeHtml(revision.author)} &middot; ${new Date(revision.date).toLocaleString()}
+                    &middot; <code>${revision.sha.substring(0, 7)}</code>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Load a past version, read-only, and show how it differs from the game now
+    async selectRevision(sha) {
+        const revision = this.revisions.find(r => r.sha === sha);
+        if (!revision) return;
+
+        const detail = document.getElementById('revisionDetail');
+        detail.innerHTML = '<p class="revision-empty">Loading this version...</p>';
+        try {
+            const game = await this.storage.readGameRevision(this.currentGame.id, revision);
+            this.selectedRevision = { revision: revision, game: game, view: 'changes' };
+            this.renderRevisionList();
+            this.renderRevision();
+        } catch (error) {
+            console.error('Error loading revision:', error);
+            detail.innerHTML = `<p class="revision-empty">This version could not be loaded${error instanceof DataValidationError ? ': its data is invalid' : ''}.</p>`;
+        }
+    }
+
+    renderRevision() {
+        const detail = document.getElementById('revisionDetail');
+        const { revision, game, view } = this.selectedRevision;
+
+        if (!game) {
+            detail.innerHTML = '<p class="revision-empty">This game did not exist yet in this version.</p>';
+            return;
+        }
+
+        detail.innerHTML = `
+            <div class="revision-header">
+                <div>
+                    <h3>${this.escapeHtml(revision.message.split('\n')[0])}</h3>
+                    <p>${this.escapeHtml(revision.author)} &middot; ${new Date(revision.date).toLocaleString()}</p>
+                </div>
+                <button class="btn btn-secondary restore-game-btn" title="Put the whole game back the way it was in this version">
+                    <i class="fas fa-history"></i> Restore Game
+                </button>
+            </div>
+            <div class="revision-tabs">
+                <button class="revision-tab ${view === 'changes' ? 'active' : ''}" data-view="changes">Changes Since</button>
+                <button class="revision-tab ${view === 'snapshot' ? 'active' : ''}" data-view="snapshot">Snapshot</button>
+            </div>
+            ${view === 'changes' ? this.renderRevisionChanges(game) : this.renderRevisionSnapshot(game)}
+        `;
+    }
+
+    renderRevisionChanges(pastGame) {
+        const diff = RevisionDiff.compare(pastGame, this.currentGame);
+        if (diff.game.length === 0 && diff.tasks.length === 0) {
+            return '<p class="revision-empty">Nothing has changed since this version.</p>';
+        }
+
+        const changeLabels = {
+            added: 'Added since',
+            removed: 'Removed since',
+            deleted: 'Deleted since',
+            restored: 'Restored since',
+            changed: 'Changed since'
+        };
+        const fieldList = fields => `
+            <ul class="revision-fields">
+                ${fields.map(change => `
+                    <li>
+                        <strong>${change.label}:</strong>
+                        <span class="revision-from">${this.formatRevisionValue(change.field, change.from)}</span>
+                        &rarr;
+                        <span class="revision-to">${this.formatRevisionValue(change.field, change.to)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        return `
+            ${diff.game.length > 0 ? `
+                <div class="revision-change changed">
+                    <div class="revision-change-header"><h4>Game details</h4></div>
+                    ${fieldList(diff.game)}
+                </div>
+            ` : ''}
+            ${diff.tasks.map(entry => `
+                <div class="revision-change ${entry.change}">
+                    <div class="revision-change-header">
+                        <h4>${this.escapeHtml(entry.title)}</h4>
+                        <span class="revision-badge">${changeLabels[entry.change]}</span>
+                        ${entry.past ? `
+                            <button class="btn btn-secondary restore-task-btn" data-task-id="${entry.id}" title="Put this task back the way it was in this version">
+                                <i class="fas fa-undo"></i> Restore Task
+                            </button>
+                        ` : ''}
+                    </div>
+                    ${entry.fields.length > 0 ? fieldList(entry.fields) : ''}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    // The past version's tasks as a read-only table
+    renderRevisionSnapshot(pastGame) {
+        const tasks = Object.values(pastGame.issues || {}).flat();
+        const deletedCount = (pastGame.deletedTasks || []).length;
+        if (tasks.length === 0) {
+            return `<p class="revision-empty">No tasks in this version${deletedCount ? ` (${deletedCount} deleted)` : ''}.</p>`;
+        }
+
+        return `
+            <table class="revision-snapshot">
+                <thead>
+                    <tr><th>Task</th><th>Category</th><th>Status</th><th>Priority</th><th>Assignee</th></tr>
+                </thead>
+                <tbody>
+                    ${tasks.map(task => `
+                        <tr>
+                            <td>${this.escapeHtml(task.title)}</td>
+                            <td>${this.formatRevisionValue('category', task.category)}</td>
+                            <td>${this.formatRevisionValue('status', task.status)}</td>
+                            <td>${this.formatRevisionValue('priority', task.priority)}</td>
+                            <td>${this.formatRevisionValue('assignee', task.assignee)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${deletedCount ? `<p class="revision-empty">${deletedCount} deleted task(s) not shown.</p>` : ''}
+        `;
+    }
+
+    formatRevisionValue(field, value) {
+        if (value === null || value === undefined || value === '') {
+            return '<em>none</em>';
+        }
+        if (field === 'assignee') {
+            value = this.members.find(m => m.id === value)?.name || 'a former member';
+        } else if (field === 'status') {
+            value = Workflow.state(this.currentGame, value).name;
+        } else if (field === 'category') {
+            value = Categories.get(this.currentGame, value).name;
+        }
+        const text = String(value);
+        return this.escapeHtml(text.length > 120 ? `${text.substring(0, 120)}...` : text);
+    }
+
+    setRevisionView(view) {
+        if (!this.selectedRevision) return;
+        this.selectedRevision.view = view;
+        this.renderRevision();
+    }
+
+    async restoreTaskFromRevision(taskId) {
+        const { revision, game } = this.selectedRevision;
+        const pastTask = StorageAdapter.tasksById(game)[taskId];
+        if (!pastTask || !confirm(`Restore "${pastTask.title}" to how it was in ${revision.sha.substring(0, 7)}? Changes made to it since will be undone.`)) {
+            return;
+        }
+
+        const actor = await this.askForActor(`Restore "${pastTask.title}" from ${revision.sha.substring(0, 7)}`);
+        if (!actor) return;
+
+        try {
+            const savedGame = await this.storage.restoreTask(this.currentGame.id, pastTask, revision, actor);
+            if (!savedGame) {
+                throw new Error('Save failed');
+            }
+            this.afterRestore(savedGame);
+            this.showNotification(`"${pastTask.title}" restored.`, 'success');
+        } catch (error) {
+            console.error('Error restoring task:', error);
+            this.showNotification('Error restoring the task. Please try again.', 'error');
+        }
+    }
+
+    async restoreGameFromRevision() {
+        const { revision, game } = this.selectedRevision;
+        if (!confirm(`Restore the whole game to how it was in ${revision.sha.substring(0, 7)}? Tasks added since will be moved to Deleted Tasks.`)) {
+            return;
+        }
+
+        const actor = await this.askForActor(`Restore ${this.currentGame.name} from ${revision.sha.substring(0, 7)}`);
+        if (!actor) return;
+
+        try {
+            const savedGame = await this.storage.restoreGame(this.currentGame.id, game, revision, actor);
+            if (!savedGame) {
+                throw new Error('Save failed');
+            }
+            this.afterRestore(savedGame);
+            this.showNotification('Game restored.', 'success');
+        } catch (error) {
+            console.error('Error restoring game:', error);
+            this.showNotification('Error restoring the game. Please try again.', 'error');
+        }
+    }
+
+    afterRestore(savedGame) {
+        this.setCurrentGame(savedGame);
+        this.updateGameTitle();
+        this.populateFilters();
+        this.renderCategories();
+        this.renderTasks();
+        this.updateStatistics();
+        this.renderRevision();
+    }
+
+    async resolveConflicts(conflicts) {
+        this.showNotification(`${conflicts.length} conflicting change(s) need your attention.`, 'error');
+        return ConflictDialog.prompt(conflicts);
     }
 
     showModal(modalId) {
@@ -901,6 +2931,10 @@ class TaskManager {
 
     hideModal(modalId) {
         document.getElementById(modalId).classList.remove('active');
+        // Closing the actor form without picking anyone cancels the change it was asked for
+        if (modalId === 'actorModal') {
+            this.settleActorRequest(null);
+        }
     }
 
     showNotification(message, type = 'success') {
@@ -1,96 +1,74 @@
 // GitHub Storage System for Game Design Review
-class GitHubStorage {
-    constructor() {
-        this.token = null;
-        this.owner = 'Firudesu';
-        this.repo = 'Gamedesignreview'; // Fixed repository name
-        this.baseUrl = 'https://api.github.com';
-    }
-
-    // Get GitHub token from Netlify serverless function
-    async getGitHubToken() {
-        // Check if we already have a token
-        if (this.token) {
-            return this.token;
-        }
-
-        // Check localStorage first (for development/caching)
-        const storedToken = localStorage.getItem('github_token');
-        if (storedToken) {
-            this.token = storedToken;
-            return this.token;
-        }
-
-        try {
-            // Fetch token from Netlify function
-            const response = await fetch('/.netlify/functions/get-github-token');
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            if (data.error) {
-                throw new Error(data.error);
-            }
-            
-            if (data.token) {
-                this.token = data.token;
-                // Cache the token in localStorage for future use
-                localStorage.setItem('github_token', this.token);
-                return this.token;
-            } else {
-                throw new Error('No token received from server');
-            }
-        } catch (error) {
-            console.error('Error fetching GitHub token:', error);
-            throw new Error('Failed to get GitHub token. Please check your Netlify configuration.');
-        }
-    }
+class GitHubStorage extends StorageAdapter {
+    // `workspace` may set owner, repo, branch and basePath; anything it leaves
+    // empty comes from the deployment config (see AppSettings.deploymentConfig)
+    constructor(workspace = {}) {
+        super();
+        this.label = 'GitHub';
+        this.workspace = workspace;
+        this.owner = null; // set by configure()
+        this.repo = null;
+        this.basePath = null;
+        this.proxyUrl = '/.netlify/functions/github-proxy'; // holds the token and calls GitHub for us
+        this.branch = null; // unless configured, the repository's default branch, looked up on first save
 
-    // Method to set token (for development/testing)
-    setToken(token) {
-        this.token = token;
-        localStorage.setItem('github_token', token);
+        // Older versions cached the raw token here
+        localStorage.removeItem('github_token');
     }
 
-    // Check if token is available
-    hasToken() {
-        return this.token && this.token.length > 0;
+    async connect() {
+        await this.configure();
     }
 
-    // Generic method to make GitHub API requests
-    async makeRequest(endpoint, options = {}) {
-        // Ensure we have a token
-        if (!this.token) {
-            this.token = await this.getGitHubToken();
+    // Resolve which repository, branch and folder this workspace stores its data in
+    async configure() {
+        if (this.owner) {
+            return;
         }
 
-        const url = `${this.baseUrl}${endpoint}`;
-        const defaultOptions = {
-            headers: {
-                'Authorization': `token ${this.token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json'
-            }
+        const config = {
+            ...(await AppSettings.deploymentConfig()),
+            ...AppSettings.withoutEmpty({
+                owner: this.workspace.owner,
+                repo: this.workspace.repo,
+                branch: this.workspace.branch,
+                basePath: this.workspace.basePath
+            })
         };
 
+        this.owner = config.owner;
+        this.repo = config.repo;
+        this.branch = config.branch || null;
+        this.basePath = (config.basePath || '').replace(/^\/+|\/+$/g, '');
+        this.label = `GitHub (${this.owner}/${this.repo})`;
+        console.log(`Using GitHub repository ${this.owner}/${this.repo}, branch ${this.branch || '(default)'}, folder /${this.basePath}`);
+    }
+
+    // Make a GitHub API request through the Netlify proxy function, which checks
+    // it against an allowlist and adds the token server-side
+    async makeRequest(endpoint, options = {}) {
         const requestOptions = {
-            ...defaultOptions,
-            ...options,
+            method: 'POST',
             headers: {
-                ...defaultOptions.headers,
-                ...options.headers
-            }
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                method: options.method || 'GET',
+                path: endpoint,
+                body: options.body ? JSON.parse(options.body) : undefined,
+                raw: options.raw || undefined // file contents as is, rather than GitHub's JSON description
+            })
         };
 
         try {
-            const response = await fetch(url, requestOptions);
+            const response = await StorageAdapter.fetchRemote(this.proxyUrl, requestOptions);
             
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(`GitHub API error: ${response.status} - ${errorData.message || response.statusText}`);
+                const apiError = new Error(`GitHub API error: ${response.status} - ${errorData.message || response.statusText}`);
+                apiError.status = response.status;
+                throw apiError;
             }
             
             return await response.json();
@@ -100,106 +78,184 @@ class GitHubStorage {
         }
     }
 
-    // Get file content from GitHub
-    async getFile(path) {
+    // Fetch a file and its SHA without touching the stored snapshot.
+    // `ref` reads it as of a branch or commit; by default the configured branch.
+    async fetchFile(path, ref = this.branch) {
         try {
-            const response = await this.makeRequest(`/repos/${this.owner}/${this.repo}/contents/${path}`);
+            ref = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+            const endpoint = `/repos/${this.owner}/${this.repo}/contents/${path}${ref}`;
+            const response = await this.makeRequest(endpoint);
             
             if (response.type === 'file') {
-                const content = atob(response.content);
-                return JSON.parse(content);
+                // Past 1 MB the Contents API leaves the content out; the raw file is served up to 100 MB
+                const content = response.encoding === 'base64' && response.content
+                    ? JSON.parse(GitHubStorage.decodeBase64(response.content))
+                    : await this.makeRequest(endpoint, { raw: true });
+                return { sha: response.sha, content: content };
             }
             return null;
         } catch (error) {
-            if (error.message.includes('404')) {
+            if (error.status === 404) {
                 return null; // File doesn't exist
             }
             throw error;
         }
     }
 
-    // Create or update file in GitHub
-    async putFile(path, content, message = 'Update data') {
-        try {
-            // First, try to get the existing file to get its SHA
-            let sha = null;
-            try {
-                const existingFile = await this.makeRequest(`/repos/${this.owner}/${this.repo}/contents/${path}`);
-                sha = existingFile.sha;
-            } catch (error) {
-                // File doesn't exist, that's okay
-            }
+    // GitHub sends file content as base64 of its UTF-8 bytes. atob alone yields one
+    // character per byte, which garbles anything outside Latin-1 (accents, Japanese, emoji).
+    static decodeBase64(base64) {
+        const binary = atob(base64.replace(/\s/g, ''));
+        const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+        return new TextDecoder('utf-8').decode(bytes);
+    }
 
-            const response = await this.makeRequest(`/repos/${this.owner}/${this.repo}/contents/${path}`, {
-                method: 'PUT',
-                body: JSON.stringify({
-                    message: message,
-                    content: btoa(JSON.stringify(content, null, 2)),
-                    sha: sha
-                })
-            });
+    documentPath(name) {
+        return this.basePath ? `${this.basePath}/${name}.json` : `${name}.json`;
+    }
 
-            return response;
-        } catch (error) {
-            console.error('Error saving to GitHub:', error);
-            throw error;
-        }
+    async readDocument(name) {
+        const file = await this.fetchFile(this.documentPath(name));
+        return file ? { version: file.sha, content: file.content } : null;
     }
 
-    // Load all games
-    async loadGames() {
-        try {
-            const games = await this.getFile('data/games.json');
-            return games || [];
-        } catch (error) {
-            console.error('Error loading games:', error);
-            return [];
-        }
+    // Commits that changed a document, newest first:
+    // [{ sha, document, message, author, date }]
+    async listRevisions(name, limit = 30) {
+        const params = new URLSearchParams({ path: this.documentPath(name), per_page: limit });
+        if (this.branch) params.set('sha', this.branch);
+        const commits = await this.makeRequest(`/repos/${this.owner}/${this.repo}/commits?${params}`);
+        return commits.map(commit => ({
+            sha: commit.sha,
+            document: name,
+            message: commit.commit.message,
+            author: (commit.author && commit.author.login) || commit.commit.author.name,
+            date: commit.commit.author.date
+        }));
     }
 
-    // Save all games
-    async saveGames(games) {
-        try {
-            await this.putFile('data/games.json', games, 'Update games data');
-            return true;
-        } catch (error) {
-            console.error('Error saving games:', error);
-            return false;
-        }
+    // A document as it was at a commit, upgraded to the current schema. Read-only:
+    // the stored snapshot (and so the next save) is left alone.
+    async readRevision(name, sha) {
+        const file = await this.fetchFile(this.documentPath(name), sha);
+        return file ? DataSchema.upgrade(name, file.content) : null;
     }
 
-    // Load all members
-    async loadMembers() {
-        try {
-            const members = await this.getFile('data/members.json');
-            return members || [];
-        } catch (error) {
-            console.error('Error loading members:', error);
-            return [];
+    async writeDocument(name, content, { version, message }) {
+        const versions = await this.writeDocuments([{ name, content, version }], { message });
+        return { version: versions[name] };
+    }
+
+    // Commit every changed file at once through the Git Data API:
+    // blobs -> tree -> one commit -> fast-forward the branch.
+    // If the branch moved meanwhile we rebuild on the new head; if one of our
+    // files changed there, the caller merges and calls again.
+    async writeDocuments(changes, { message }) {
+        const repoPath = `/repos/${this.owner}/${this.repo}`;
+        const branch = await this.getBranch();
+
+        for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+            const ref = await this.makeRequest(`${repoPath}/git/ref/heads/${branch}`);
+            const headSha = ref.object.sha;
+            const headCommit = await this.makeRequest(`${repoPath}/git/commits/${headSha}`);
+            const headFiles = await this.getTreeShas(headCommit.tree.sha);
+
+            const conflicts = changes
+                .filter(change => change.version !== undefined &&
+                    (headFiles[this.documentPath(change.name)] || null) !== change.version)
+                .map(change => change.name);
+            if (conflicts.length > 0) {
+                throw new StorageConflictError(conflicts);
+            }
+
+            const versions = {};
+            const treeEntries = [];
+            for (const change of changes) {
+                // Deleted files are left out of the tree; one already gone needs nothing
+                if (change.content === null) {
+                    versions[change.name] = null;
+                    if (headFiles[this.documentPath(change.name)]) {
+                        treeEntries.push({ path: this.documentPath(change.name), mode: '100644', type: 'blob', sha: null });
+                    }
+                    continue;
+                }
+
+                const blob = await this.makeRequest(`${repoPath}/git/blobs`, {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        content: JSON.stringify(change.content, null, 2),
+                        encoding: 'utf-8'
+                    })
+                });
+                versions[change.name] = blob.sha;
+                treeEntries.push({ path: this.documentPath(change.name), mode: '100644', type: 'blob', sha: blob.sha });
+            }
+
+            const tree = await this.makeRequest(`${repoPath}/git/trees`, {
+                method: 'POST',
+                body: JSON.stringify({ base_tree: headCommit.tree.sha, tree: treeEntries })
+            });
+
+            const commit = await this.makeRequest(`${repoPath}/git/commits`, {
+                method: 'POST',
+                body: JSON.stringify({ message: message, tree: tree.sha, parents: [headSha], receipt: tree.receipt })
+            });
+
+            try {
+                await this.makeRequest(`${repoPath}/git/refs/heads/${branch}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ sha: commit.sha, force: false, receipt: commit.receipt })
+                });
+                return versions;
+            } catch (error) {
+                // 422: not a fast-forward, someone committed in between
+                if (error.status !== 422 || attempt === MAX_SAVE_ATTEMPTS) {
+                    console.error('Error saving to GitHub:', error);
+                    throw error;
+                }
+                console.warn(`${branch} moved while committing, retrying (attempt ${attempt})`);
+            }
         }
     }
 
-    // Save all members
-    async saveMembers(members) {
-        try {
-            await this.putFile('data/members.json', members, 'Update members data');
-            return true;
-        } catch (error) {
-            console.error('Error saving members:', error);
-            return false;
+    async getBranch() {
+        if (!this.branch) {
+            const repository = await this.makeRequest(`/repos/${this.owner}/${this.repo}`);
+            this.branch = repository.default_branch;
         }
+        return this.branch;
+    }
+
+    // path -> blob SHA for every file in a tree
+    async getTreeShas(treeSha) {
+        const tree = await this.makeRequest(`/repos/${this.owner}/${this.repo}/git/trees/${treeSha}?recursive=1`);
+        const shas = {};
+        tree.tree
+            .filter(entry => entry.type === 'blob')
+            .forEach(entry => {
+                shas[entry.path] = entry.sha;
+            });
+        return shas;
     }
 }
 
-// Enhanced Game Manager with GitHub Storage
+// Enhanced Game Manager with pluggable storage (GitHub by default)
 class GameManagerWithGitHub {
     constructor() {
-        this.storage = new GitHubStorage();
+        this.storage = StorageAdapter.fromSettings();
+        this.storage.conflictResolver = (conflicts) => this.resolveConflicts(conflicts);
+        this.storage.onStatusChange = (status, pendingCount) => this.updateSyncStatus(status, pendingCount);
+        this.refreshAfterSync = false;
         this.games = [];
         this.members = [];
         this.gameToDelete = null;
         this.isLoading = false;
         this.autoRefreshInterval = null;
+        this.dataError = null;
+        this.session = { enabled: false, user: null }; // GitHub sign-in, see user-session.js
+        this.currentMember = null;
+        this.gameView = 'active'; // active, archived or trash
+        this.inbox = new NotificationInbox(this.storage, document.getElementById('inbox'), notification => this.openGame(notification.gameId, notification.taskId));
         console.log('GameManagerWithGitHub constructor called');
     }
 
@@ -207,12 +263,13 @@ class GameManagerWithGitHub {
         console.log('Initializing GameManagerWithGitHub...');
         
         try {
-            // Check if token is available (this will fetch it if needed)
-            if (!this.storage.hasToken()) {
-                await this.storage.getGitHubToken();
-            }
-            
+            // Settings and the workspace switcher must work even if the backend can't be reached
             this.setupEventListeners();
+            this.renderWorkspaceSwitcher();
+
+            // Connect to the active workspace's backend
+            await this.storage.connect();
+            
             await this.loadData();
             this.renderGames();
             this.updateEmptyState();
@@ -220,7 +277,7 @@ class GameManagerWithGitHub {
             console.log('GameManagerWithGitHub initialized successfully');
         } catch (error) {
             console.error('Error during initialization:', error);
-            this.showNotification('Failed to initialize. Please check your Netlify configuration.', 'error');
+            this.showNotification(`Failed to connect to ${this.storage.label}. Please check your settings.`, 'error');
         }
     }
 
@@ -229,12 +286,13 @@ class GameManagerWithGitHub {
             this.isLoading = true;
             this.showLoadingState();
             
-            console.log('Loading data from GitHub...');
+            console.log(`Loading data from ${this.storage.label}...`);
             
-            // Load games and members in parallel
-            const [games, members] = await Promise.all([
-                this.storage.loadGames(),
-                this.storage.loadMembers()
+            // Load the games index, members and who is signed in, in parallel
+            const [games, members, session] = await Promise.all([
+                this.storage.loadIndex(),
+                this.storage.loadMembers(),
+                UserSession.current()
             ]);
             
             console.log('Loaded games:', games);
@@ -242,34 +300,84 @@ class GameManagerWithGitHub {
             
             this.games = games;
             this.members = members;
+            this.setSession(session);
             
             console.log('Data loaded successfully. Games count:', this.games.length);
             
+            this.dataError = null;
             this.hideLoadingState();
         } catch (error) {
+            if (error instanceof DataValidationError) {
+                console.error('Stored data is invalid:', error.problems);
+                this.dataError = error;
+                this.showNotification(error.message, 'error');
+                this.hideLoadingState();
+                return;
+            }
             console.error('Error loading data:', error);
-            this.showNotification('Error loading data. Check your GitHub token and repository settings.', 'error');
+            this.showNotification('Error loading data. Check your storage settings.', 'error');
             this.hideLoadingState();
         }
     }
 
-    async saveData() {
-        try {
-            console.log('Saving data to GitHub...');
-            console.log('Games to save:', this.games);
-            console.log('Members to save:', this.members);
-            
-            // Save games and members in parallel
-            await Promise.all([
-                this.storage.saveGames(this.games),
-                this.storage.saveMembers(this.members)
-            ]);
-            
-            console.log('Data saved successfully to GitHub');
-        } catch (error) {
-            console.error('Error saving data:', error);
-            this.showNotification('Error saving data. Please try again.', 'error');
+    // Save one game's file and its index entry, keeping the local index in step
+    async saveGame(game, message) {
+        console.log(`Saving ${game.name} to ${this.storage.label}...`);
+        
+        const savedGame = await this.storage.saveGame(game, message);
+        if (!savedGame) {
+            throw new Error('Save failed');
+        }
+        
+        const summary = StorageAdapter.summarizeGame(savedGame);
+        const position = this.games.findIndex(g => g.id === game.id);
+        if (position === -1) {
+            this.games.push(summary);
+        } else {
+            this.games[position] = summary;
         }
+        
+        console.log(`Game saved successfully to ${this.storage.label}`);
+        return savedGame;
+    }
+
+    setSession(session) {
+        this.session = session;
+        this.currentMember = UserSession.memberFor(session.user, this.members);
+        UserSession.renderAccount(document.getElementById('accountStatus'), session, this.currentMember, () => this.joinTeam());
+        this.inbox.setMembers(this.members, this.currentMember);
+    }
+
+    // Add the signed-in GitHub user to the team, linked by their login
+    async joinTeam() {
+        const user = this.session.user;
+        if (!user || this.currentMember || !this.session.canJoin) return;
+
+        await this.addMember({
+            name: user.name || user.login,
+            role: '',
+            email: '',
+            githubLogin: user.login
+        });
+    }
+
+    async saveMembers(message) {
+        const savedMembers = await this.storage.saveMembers(this.members, message);
+        if (!savedMembers) {
+            throw new Error('Save failed');
+        }
+        
+        // Pick up anything merged in from other people's saves
+        this.members = savedMembers;
+    }
+
+    async saveIndex(message) {
+        const savedIndex = await this.storage.saveIndex(this.games, message);
+        if (!savedIndex) {
+            throw new Error('Save failed');
+        }
+        
+        this.games = savedIndex;
     }
 
     async addGame(gameData) {
@@ -277,28 +385,29 @@ class GameManagerWithGitHub {
             console.log('Creating new game with data:', gameData);
             
             const game = {
-                id: Date.now().toString(),
+                schemaVersion: SCHEMA_VERSION,
+                id: DataMerger.newId(),
                 name: gameData.name,
                 description: gameData.description,
                 genre: gameData.genre,
+                keyPrefix: gameData.keyPrefix || TaskKeys.prefixFor(gameData.name),
+                nextKeyNumber: 1,
                 completed: false,
+                archived: false,
+                deletedAt: null,
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString(),
-                issues: {
-                    bug: [],
-                    controls: [],
-                    quest: [],
-                    review: []
-                }
+                issues: Categories.emptyIssues(DEFAULT_CATEGORIES),
+                categories: JSON.parse(JSON.stringify(DEFAULT_CATEGORIES)),
+                deletedTasks: [],
+                deletedTaskPolicy: { ...DEFAULT_DELETED_TASK_POLICY },
+                workflow: JSON.parse(JSON.stringify(DEFAULT_WORKFLOW))
             };
 
             console.log('Created game object:', game);
             
-            this.games.push(game);
-            console.log('Added game to local array. Total games:', this.games.length);
-            
-            await this.saveData();
-            console.log('Game saved to GitHub successfully');
+            await this.saveGame(game, `Add game ${game.name}`);
+            console.log('Added game. Total games:', this.games.length);
             
             this.renderGames();
             this.updateEmptyState();
@@ -312,15 +421,17 @@ class GameManagerWithGitHub {
     async addMember(memberData) {
         try {
             const member = {
-                id: Date.now().toString(),
+                id: DataMerger.newId(),
                 name: memberData.name,
                 role: memberData.role,
                 email: memberData.email,
+                githubLogin: (memberData.githubLogin || '').trim().replace(/^@/, '') || null,
                 createdAt: new Date().toISOString()
             };
 
             this.members.push(member);
-            await this.saveData();
+            await this.saveMembers(`Add team member ${member.name}`);
+            this.setSession(this.session);
             this.showNotification('Team member added successfully!', 'success');
         } catch (error) {
             console.error('Error adding member:', error);
@@ -330,11 +441,12 @@ class GameManagerWithGitHub {
 
     async toggleGameComplete(gameId) {
         try {
-            const game = this.games.find(g => g.id === gameId);
+            // The index only holds a summary - update the game's own file
+            const game = await this.storage.loadGame(gameId);
             if (game) {
                 game.completed = !game.completed;
                 game.updatedAt = new Date().toISOString();
-                await this.saveData();
+                await this.saveGame(game, `${game.completed ? 'Complete' : 'Reopen'} game ${game.name}`);
                 this.renderGames();
                 this.showNotification(
                     game.completed ? 'Game marked as completed!' : 'Game marked as active!', 
@@ -347,28 +459,78 @@ class GameManagerWithGitHub {
         }
     }
 
+    // Archived games are finished with but kept for reference, apart from completed ones
+    async toggleGameArchived(gameId) {
+        try {
+            const game = await this.storage.loadGame(gameId);
+            if (game) {
+                game.archived = !game.archived;
+                game.archivedAt = game.archived ? new Date().toISOString() : null;
+                game.archivedBy = game.archived && this.currentMember ? this.currentMember.name : null;
+                game.updatedAt = new Date().toISOString();
+                await this.saveGame(game, `${game.archived ? 'Archive' : 'Unarchive'} game ${game.name}`);
+                this.renderGames();
+                this.showNotification(game.archived ? 'Game archived!' : 'Game moved back to active games!', 'success');
+            }
+        } catch (error) {
+            console.error('Error archiving game:', error);
+            this.showNotification('Error updating game. Please try again.', 'error');
+        }
+    }
+
     async deleteGame(gameId) {
         this.gameToDelete = gameId;
         const game = this.games.find(g => g.id === gameId);
         if (game) {
             document.getElementById('deleteGameName').textContent = game.name;
+            document.getElementById('deleteGameReason').value = '';
+            this.populateDeleteAuthors();
             document.getElementById('deleteGameModal').classList.add('active');
         }
     }
 
+    // Signed-in members delete as themselves, so there is nothing to pick
+    populateDeleteAuthors() {
+        const dropdown = document.getElementById('deleteGameAuthor');
+        dropdown.innerHTML = '<option value="">Select team member...</option>';
+        this.members.forEach(member => {
+            dropdown.innerHTML += `<option value="${member.id}">${this.escapeHtml(member.name)}</option>`;
+        });
+        dropdown.closest('.form-group').style.display = this.currentMember ? 'none' : '';
+    }
+
+    // Move the game to the trash. Its file and tasks are kept until it is deleted permanently.
     async confirmDeleteGame() {
         if (this.gameToDelete) {
+            const deleteReason = document.getElementById('deleteGameReason').value.trim();
+            if (!deleteReason) {
+                this.showNotification('Please provide a reason for deletion.', 'error');
+                return;
+            }
+
+            const memberId = document.getElementById('deleteGameAuthor').value;
+            const deleter = this.currentMember || this.members.find(m => m.id === memberId);
+            if (!deleter) {
+                this.showNotification('Please select a team member.', 'error');
+                return;
+            }
+
             try {
-                // Remove from local array
-                this.games = this.games.filter(g => g.id !== this.gameToDelete);
-                
-                // Save updated games list
-                await this.saveData();
+                const game = await this.storage.loadGame(this.gameToDelete);
+                if (!game) {
+                    throw new Error(`Game ${this.gameToDelete} not found`);
+                }
+
+                game.deletedAt = new Date().toISOString();
+                game.deletedBy = deleter.name;
+                game.deleteReason = deleteReason;
+                game.updatedAt = game.deletedAt;
+                await this.saveGame(game, `Move game ${game.name} to the trash`);
                 
                 this.renderGames();
                 this.updateEmptyState();
                 this.closeModal('deleteGameModal');
-                this.showNotification('Game deleted successfully!', 'success');
+                this.showNotification('Game moved to the trash.', 'success');
                 this.gameToDelete = null;
             } catch (error) {
                 console.error('Error deleting game:', error);
@@ -377,85 +539,241 @@ class GameManagerWithGitHub {
         }
     }
 
+    async restoreGame(gameId) {
+        try {
+            const game = await this.storage.loadGame(gameId);
+            if (game) {
+                game.deletedAt = null;
+                delete game.deletedBy;
+                delete game.deleteReason;
+                game.updatedAt = new Date().toISOString();
+                await this.saveGame(game, `Restore game ${game.name} from the trash`);
+                this.renderGames();
+                this.showNotification('Game restored!', 'success');
+            }
+        } catch (error) {
+            console.error('Error restoring game:', error);
+            this.showNotification('Error restoring game. Please try again.', 'error');
+        }
+    }
+
+    // Remove a game from the trash for good
+    async purgeGame(gameId) {
+        const game = this.games.find(g => g.id === gameId);
+        if (!game || !confirm(`Permanently delete "${game.name}" and all of its tasks? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            // Its file and its index entry go together, so no open copy of it can save it back
+            const savedIndex = await this.storage.purgeGame(gameId, `Permanently delete game ${game.name}`);
+            if (!savedIndex) {
+                throw new Error('Save failed');
+            }
+            this.games = savedIndex;
+            
+            this.renderGames();
+            this.updateEmptyState();
+            this.showNotification('Game deleted permanently.', 'success');
+        } catch (error) {
+            console.error('Error deleting game:', error);
+            this.showNotification('Error deleting game. Please try again.', 'error');
+        }
+    }
+
     getGameStats(gameId) {
+        // Counts are kept in the index so the overview never loads every game
         const game = this.games.find(g => g.id === gameId);
-        if (!game) return { total: 0, open: 0, completed: 0 };
+        if (!game || !game.stats) return { total: 0, open: 0, completed: 0 };
 
-        const allIssues = [
-            ...game.issues.bug,
-            ...game.issues.controls,
-            ...game.issues.quest,
-            ...game.issues.review
-        ];
+        return game.stats;
+    }
 
-        return {
-            total: allIssues.length,
-            open: allIssues.filter(issue => issue.status !== 'completed').length,
-            completed: allIssues.filter(issue => issue.status === 'completed').length
-        };
+    // Which view a game belongs in: trash, archived or active
+    static gameViewOf(game) {
+        if (game.deletedAt) return 'trash';
+        return game.archived ? 'archived' : 'active';
+    }
+
+    setGameView(view) {
+        this.gameView = view;
+        this.renderGames();
+    }
+
+    renderGameViewTabs() {
+        const tabs = document.getElementById('gameViewTabs');
+        if (!tabs) return;
+        if (this.dataError || this.games.length === 0) {
+            tabs.innerHTML = '';
+            return;
+        }
+
+        const views = [
+            ['active', 'fa-gamepad', 'Active'],
+            ['archived', 'fa-archive', 'Archived'],
+            ['trash', 'fa-trash', 'Trash']
+        ];
+        tabs.innerHTML = views.map(([view, icon, label]) => {
+            const count = this.games.filter(game => GameManagerWithGitHub.gameViewOf(game) === view).length;
+            return `
+                <button class="game-view-tab ${this.gameView === view ? 'active' : ''}" onclick="window.gameManager.setGameView('${view}')">
+                    <i class="fas ${icon}"></i> ${label} (${count})
+                </button>
+            `;
+        }).join('');
     }
 
     renderGames() {
         const container = document.getElementById('gamesContainer');
+        this.renderGameViewTabs();
         
+        if (this.dataError) {
+            this.renderDataError(container);
+            return;
+        }
+
         if (this.games.length === 0) {
             container.innerHTML = '';
             return;
         }
 
+        const games = this.games.filter(game => GameManagerWithGitHub.gameViewOf(game) === this.gameView);
+        if (games.length === 0) {
+            const emptyMessages = {
+                active: 'No active games. Archived and deleted games are in the other tabs.',
+                archived: 'No archived games.',
+                trash: 'The trash is empty.'
+            };
+            container.innerHTML = `<p class="game-view-empty">${emptyMessages[this.gameView]}</p>`;
+            return;
+        }
+
         container.innerHTML = `
             <div class="games-grid">
-                ${this.games.map(game => {
-                    const stats = this.getGameStats(game.id);
-                    return `
-                        <div class="game-card ${game.completed ? 'completed' : ''}" onclick="window.gameManager.openGame('${game.id}')">
-                            <div class="game-actions">
-                                <button class="action-btn ${game.completed ? 'complete' : 'complete'}" 
-                                        onclick="event.stopPropagation(); window.gameManager.toggleGameComplete('${game.id}')"
-                                        title="${game.completed ? 'Mark as Active' : 'Mark as Complete'}">
-                                    <i class="fas ${game.completed ? 'fa-undo' : 'fa-check'}"></i>
-                                </button>
-                                <button class="action-btn delete" 
-                                        onclick="event.stopPropagation(); window.gameManager.deleteGame('${game.id}')"
-                                        title="Delete Game">
-                                    <i class="fas fa-trash"></i>
-                                </button>
-                            </div>
-                            <h3>${game.name}</h3>
-                            <p class="game-description">${game.description || 'No description'}</p>
-                            
-                            <div class="game-stats">
-                                <div class="stat">
-                                    <span class="stat-number">${stats.total}</span>
-                                    <span class="stat-label">Total</span>
-                                </div>
-                                <div class="stat">
-                                    <span class="stat-number">${stats.open}</span>
-                                    <span class="stat-label">Open</span>
-                                </div>
-                                <div class="stat">
-                                    <span class="stat-number">${stats.completed}</span>
-                                    <span class="stat-label">Done</span>
-                                </div>
-                            </div>
-
-                            ${game.genre ? `
-                                <div class="game-categories">
-                                    <span class="category-tag">${game.genre}</span>
-                                </div>
-                            ` : ''}
-                        </div>
-                    `;
-                }).join('')}
+                ${games.map(game => this.gameView === 'trash' ? this.renderTrashedGame(game) : this.renderGameCard(game)).join('')}
+            </div>
+        `;
+    }
+
+    renderGameCard(game) {
+        const stats = this.getGameStats(game.id);
+        return `
+            <div class="game-card ${game.completed ? 'completed' : ''} ${game.archived ? 'archived' : ''}" onclick="window.gameManager.openGame('${game.id}')">
+                <div class="game-actions">
+                    <button class="action-btn ${game.completed ? 'complete' : 'complete'}" 
+                            onclick="event.stopPropagation(); window.gameManager.toggleGameComplete('${game.id}')"
+                            title="${game.completed ? 'Mark as Active' : 'Mark as Complete'}">
+                        <i class="fas ${game.completed ? 'fa-undo' : 'fa-check'}"></i>
+                    </button>
+                    <button class="action-btn archive" 
+                            onclick="event.stopPropagation(); window.gameManager.toggleGameArchived('${game.id}')"
+                            title="${game.archived ? 'Unarchive' : 'Archive'}">
+                        <i class="fas ${game.archived ? 'fa-box-open' : 'fa-archive'}"></i>
+                    </button>
+                    <button class="action-btn delete" 
+                            onclick="event.stopPropagation(); window.gameManager.deleteGame('${game.id}')"
+                            title="Delete Game">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <h3>${game.name}</h3>
+                <p class="game-description">${game.description || 'No description'}</p>
+                
+                <div class="game-stats">
+                    <div class="stat">
+                        <span class="stat-number">${stats.total}</span>
+                        <span class="stat-label">Total</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-number">${stats.open}</span>
+                        <span class="stat-label">Open</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-number">${stats.completed}</span>
+                        <span class="stat-label">Done</span>
+                    </div>
+                </div>
+
+                ${this.renderCategoryCounts(stats)}
+
+                ${game.genre ? `
+                    <div class="game-categories">
+                        <span class="category-tag">${game.genre}</span>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Open tasks per category, in each category's icon and color
+    renderCategoryCounts(stats) {
+        if (!stats.categories || stats.categories.length === 0) return '';
+        return `
+            <div class="category-counts">
+                ${stats.categories.map(category => `
+                    <span class="category-count" title="${this.escapeHtml(category.name).replace(/"/g, '&quot;')}: ${category.open} open of ${category.total}">
+                        <i class="fas ${category.icon}" style="color: ${category.color};"></i> ${category.open}
+                    </span>
+                `).join('')}
             </div>
         `;
     }
 
+    // Games in the trash can't be opened, only restored or deleted for good
+    renderTrashedGame(game) {
+        const stats = this.getGameStats(game.id);
+        return `
+            <div class="game-card trashed">
+                <div class="game-actions">
+                    <button class="action-btn complete" 
+                            onclick="window.gameManager.restoreGame('${game.id}')"
+                            title="Restore">
+                        <i class="fas fa-trash-restore"></i>
+                    </button>
+                    <button class="action-btn delete" 
+                            onclick="window.gameManager.purgeGame('${game.id}')"
+                            title="Delete Permanently">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <h3>${this.escapeHtml(game.name)}</h3>
+                <p class="game-description">${stats.total} task(s)</p>
+                <div class="trash-details">
+                    <div><strong>Deleted:</strong> ${new Date(game.deletedAt).toLocaleString()}</div>
+                    <div><strong>By:</strong> ${this.escapeHtml(game.deletedBy || 'Unknown')}</div>
+                    <div><strong>Reason:</strong> ${this.escapeHtml(game.deleteReason || 'No reason given')}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Explain why nothing is listed when the stored data can't be used
+    renderDataError(container) {
+        const error = this.dataError;
+        const problems = error.problems.slice(0, 5).map(problem => `<li>${this.escapeHtml(problem)}</li>`).join('');
+        container.innerHTML = `
+            <div class="data-error">
+                <i class="fas fa-exclamation-triangle"></i>
+                <h3>Your saved data can't be read</h3>
+                <p>The file <code>${this.escapeHtml(error.document)}</code> in ${this.escapeHtml(this.storage.label)} doesn't match the expected format, so nothing was changed.</p>
+                <ul>${problems}</ul>
+                ${error.problems.length > 5 ? `<p>...and ${error.problems.length - 5} more problem(s).</p>` : ''}
+                <p>Fix the file, or pick a different storage backend in Settings, then reload this page.</p>
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     updateEmptyState() {
         const emptyState = document.getElementById('emptyState');
         const gamesContainer = document.getElementById('gamesContainer');
         
-        if (this.games.length === 0) {
+        if (this.games.length === 0 && !this.dataError) {
             emptyState.style.display = 'block';
             gamesContainer.style.display = 'none';
         } else {
@@ -464,9 +782,11 @@ class GameManagerWithGitHub {
         }
     }
 
-    openGame(gameId) {
+    // Open a game, optionally at one of its tasks
+    openGame(gameId, taskId = null) {
         localStorage.setItem('currentGameId', gameId);
-        window.location.href = 'game-design-review.html';
+        const page = `game-design-review.html?game=${encodeURIComponent(gameId)}`;
+        window.location.href = taskId ? `${page}#task-${encodeURIComponent(taskId)}` : page;
     }
 
     // Auto-refresh functionality
@@ -478,17 +798,21 @@ class GameManagerWithGitHub {
         
         // Start new interval - refresh every 30 seconds
         this.autoRefreshInterval = setInterval(async () => {
-            if (!this.isLoading) {
-                console.log('Auto-refreshing data from GitHub...');
-                await this.loadData();
-                this.renderGames();
-                this.updateEmptyState();
-            }
+            console.log(`Auto-refreshing data from ${this.storage.label}...`);
+            await this.refreshData();
         }, 30000); // 30 seconds
 
         console.log('Auto-refresh started - will refresh every 30 seconds');
     }
 
+    async refreshData() {
+        if (!this.isLoading) {
+            await this.loadData();
+            this.renderGames();
+            this.updateEmptyState();
+        }
+    }
+
     stopAutoRefresh() {
         if (this.autoRefreshInterval) {
             clearInterval(this.autoRefreshInterval);
@@ -497,12 +821,45 @@ class GameManagerWithGitHub {
         }
     }
 
+    updateSyncStatus(status, pendingCount) {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) return;
+
+        const changes = `${pendingCount} change${pendingCount === 1 ? '' : 's'}`;
+        const states = {
+            synced: ['fa-check-circle', 'All changes saved'],
+            pending: ['fa-sync fa-spin', `Syncing ${changes}...`],
+            offline: ['fa-plug', pendingCount > 0 ? `Offline - ${changes} pending` : 'Offline'],
+            error: ['fa-exclamation-triangle', `Sync failed - ${changes} pending`]
+        };
+        if (status === 'error' && this.storage.lastError && this.storage.lastError.status === 401) {
+            states.error = ['fa-sign-in-alt', `Sign in to save - ${changes} pending`];
+        }
+        const [icon, text] = states[status] || states.synced;
+
+        indicator.className = `sync-status ${status}`;
+        indicator.innerHTML = `<i class="fas ${icon}"></i> ${text}`;
+        indicator.style.display = 'inline-flex';
+
+        // A change the remote keeps refusing: let people see it, then retry, export or discard it
+        indicator.title = status === 'error' ? 'Show the change that could not be saved' : '';
+        indicator.onclick = status === 'error' ? () => FailedChangeDialog.show(this.storage) : null;
+
+        // Queued changes were just replayed: pick up whatever else changed meanwhile
+        if (status === 'offline' || status === 'error') {
+            this.refreshAfterSync = true;
+        } else if (status === 'synced' && this.refreshAfterSync) {
+            this.refreshAfterSync = false;
+            this.refreshData();
+        }
+    }
+
     showLoadingState() {
         const container = document.getElementById('gamesContainer');
         container.innerHTML = `
             <div class="loading-state">
                 <div class="loading-spinner"></div>
-                <p>Loading data from GitHub...</p>
+                <p>Loading data from ${this.storage.label}...</p>
             </div>
         `;
     }
@@ -558,6 +915,41 @@ class GameManagerWithGitHub {
             console.error('Add Member button not found');
         }
 
+        // Settings button
+        const settingsBtn = document.getElementById('settingsBtn');
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => this.showSettings());
+        }
+
+        // Settings form
+        const settingsForm = document.getElementById('settingsForm');
+        if (settingsForm) {
+            settingsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSettings();
+            });
+        }
+
+        const settingsWorkspace = document.getElementById('settingsWorkspace');
+        if (settingsWorkspace) {
+            settingsWorkspace.addEventListener('change', (e) => this.fillWorkspaceFields(e.target.value));
+        }
+
+        const deleteWorkspaceBtn = document.getElementById('deleteWorkspaceBtn');
+        if (deleteWorkspaceBtn) {
+            deleteWorkspaceBtn.addEventListener('click', () => this.deleteWorkspace());
+        }
+
+        const workspaceSelect = document.getElementById('workspaceSelect');
+        if (workspaceSelect) {
+            workspaceSelect.addEventListener('change', (e) => this.switchWorkspace(e.target.value));
+        }
+
+        const storageBackend = document.getElementById('storageBackend');
+        if (storageBackend) {
+            storageBackend.addEventListener('change', (e) => this.updateSettingsFields(e.target.value));
+        }
+
         // Add Game form
         const addGameForm = document.getElementById('addGameForm');
         if (addGameForm) {
@@ -567,9 +959,15 @@ class GameManagerWithGitHub {
                 const formData = {
                     name: document.getElementById('gameName').value,
                     description: document.getElementById('gameDescription').value,
-                    genre: document.getElementById('gameGenre').value
+                    genre: document.getElementById('gameGenre').value,
+                    keyPrefix: document.getElementById('gameKeyPrefix').value.trim().toUpperCase()
                 };
                 
+                if (formData.keyPrefix && !TaskKeys.isValidPrefix(formData.keyPrefix)) {
+                    this.showNotification('The task key prefix must be up to 10 letters and digits, starting with a letter.', 'error');
+                    return;
+                }
+                
                 this.addGame(formData);
                 this.closeModal('addGameModal');
                 document.getElementById('addGameForm').reset();
@@ -587,7 +985,8 @@ class GameManagerWithGitHub {
                 const formData = {
                     name: document.getElementById('memberName').value,
                     role: document.getElementById('memberRole').value,
-                    email: document.getElementById('memberEmail').value
+                    email: document.getElementById('memberEmail').value,
+                    githubLogin: document.getElementById('memberGithubLogin').value
                 };
                 
                 this.addMember(formData);
@@ -600,12 +999,8 @@ class GameManagerWithGitHub {
 
         // Refresh on window focus (when user returns to tab)
         window.addEventListener('focus', async () => {
-            if (!this.isLoading) {
-                console.log('Window focused - refreshing data...');
-                await this.loadData();
-                this.renderGames();
-                this.updateEmptyState();
-            }
+            console.log('Window focused - refreshing data...');
+            await this.refreshData();
         });
 
         // Stop auto-refresh when page is hidden (saves API calls)
@@ -627,6 +1022,112 @@ class GameManagerWithGitHub {
         console.log('Event listeners setup complete');
     }
 
+    // Header dropdown for jumping between workspaces, shown once there is more than one
+    renderWorkspaceSwitcher() {
+        const select = document.getElementById('workspaceSelect');
+        if (!select) return;
+
+        const settings = AppSettings.load();
+        const active = AppSettings.activeWorkspace(settings);
+        select.innerHTML = settings.workspaces.map(workspace => `
+            <option value="${this.escapeHtml(workspace.id)}" ${workspace.id === active.id ? 'selected' : ''}>${this.escapeHtml(workspace.name)}</option>
+        `).join('');
+        select.style.display = settings.workspaces.length > 1 ? 'block' : 'none';
+    }
+
+    switchWorkspace(workspaceId) {
+        AppSettings.setActiveWorkspace(workspaceId);
+
+        // Reconnect everything against the other workspace's backend
+        window.location.reload();
+    }
+
+    async showSettings() {
+        const settings = AppSettings.load();
+        const active = AppSettings.activeWorkspace(settings);
+
+        document.getElementById('settingsWorkspace').innerHTML = [
+            ...settings.workspaces.map(workspace => `<option value="${this.escapeHtml(workspace.id)}">${this.escapeHtml(workspace.name)}</option>`),
+            '<option value="">+ New workspace</option>'
+        ].join('');
+        this.fillWorkspaceFields(active.id);
+        document.getElementById('settingsModal').classList.add('active');
+
+        // Show the deployment's defaults as placeholders for the GitHub fields
+        const defaults = await AppSettings.deploymentConfig();
+        document.getElementById('githubOwner').placeholder = defaults.owner;
+        document.getElementById('githubRepo').placeholder = defaults.repo;
+        document.getElementById('githubBranch').placeholder = defaults.branch || 'repository default';
+        document.getElementById('githubBasePath').placeholder = defaults.basePath || '(repository root)';
+    }
+
+    // Load a workspace into the settings form; an empty id starts a new one
+    fillWorkspaceFields(workspaceId) {
+        const existing = AppSettings.load().workspaces.find(workspace => workspace.id === workspaceId);
+        const workspace = existing || { ...DEFAULT_WORKSPACE, id: '', name: '' };
+
+        document.getElementById('settingsWorkspace').value = workspace.id;
+        document.getElementById('workspaceName').value = workspace.name;
+        document.getElementById('storageBackend').value = workspace.storageBackend;
+        document.getElementById('storageUrl').value = workspace.storageUrl;
+        document.getElementById('githubOwner').value = workspace.owner;
+        document.getElementById('githubRepo').value = workspace.repo;
+        document.getElementById('githubBranch').value = workspace.branch;
+        document.getElementById('githubBasePath').value = workspace.basePath;
+        document.getElementById('deleteWorkspaceBtn').style.display =
+            existing && AppSettings.load().workspaces.length > 1 ? 'inline-flex' : 'none';
+        this.updateSettingsFields(workspace.storageBackend);
+    }
+
+    updateSettingsFields(backend) {
+        document.getElementById('storageUrlGroup').style.display = backend === 'http' ? 'block' : 'none';
+        document.getElementById('githubSettingsGroup').style.display = backend === 'github' ? 'block' : 'none';
+    }
+
+    saveSettings() {
+        const workspace = {
+            id: document.getElementById('settingsWorkspace').value || Date.now().toString(),
+            name: document.getElementById('workspaceName').value.trim(),
+            storageBackend: document.getElementById('storageBackend').value,
+            storageUrl: document.getElementById('storageUrl').value.trim(),
+            owner: document.getElementById('githubOwner').value.trim(),
+            repo: document.getElementById('githubRepo').value.trim(),
+            branch: document.getElementById('githubBranch').value.trim(),
+            basePath: document.getElementById('githubBasePath').value.trim()
+        };
+
+        if (!workspace.name) {
+            this.showNotification('Please give the workspace a name.', 'error');
+            return;
+        }
+        if (workspace.storageBackend === 'http' && !workspace.storageUrl) {
+            this.showNotification('Please enter the storage server URL.', 'error');
+            return;
+        }
+
+        AppSettings.saveWorkspace(workspace);
+        this.closeModal('settingsModal');
+        this.switchWorkspace(workspace.id);
+    }
+
+    deleteWorkspace() {
+        const workspaceId = document.getElementById('settingsWorkspace').value;
+        const workspace = AppSettings.load().workspaces.find(w => w.id === workspaceId);
+        if (!workspace) return;
+
+        // Only the workspace settings are removed - its stored data is left untouched
+        if (confirm(`Remove the workspace "${workspace.name}" from this browser? Its data is not deleted.`)) {
+            const settings = AppSettings.deleteWorkspace(workspaceId);
+            this.closeModal('settingsModal');
+            this.switchWorkspace(settings.activeWorkspace);
+        }
+    }
+
+    async resolveConflicts(conflicts) {
+        this.showNotification(`${conflicts.length} conflicting change(s) need your attention.`, 'error');
+        return ConflictDialog.prompt(conflicts);
+    }
+
     closeModal(modalId) {
         document.getElementById(modalId).classList.remove('active');
     }
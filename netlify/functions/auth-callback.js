@@ -0,0 +1,73 @@
+// Finishes GitHub sign-in: trades the OAuth code for a token, looks up who signed in,
+// and stores them in a signed session cookie. The GitHub token itself is not kept.
+const session = require('../lib/session');
+
+function failure(statusCode, message) {
+  return {
+    statusCode: statusCode,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' },
+    body: `Sign-in failed: ${message}`
+  };
+}
+
+exports.handler = async function(event, context) {
+  if (!session.isSignInEnabled()) {
+    return failure(500, 'GitHub sign-in not configured');
+  }
+
+  const params = event.queryStringParameters || {};
+  const started = session.unseal(session.parseCookies(event)[session.STATE_COOKIE]);
+  if (!params.code || !started || started.state !== params.state) {
+    return failure(400, 'the sign-in link expired or was not started from this site. Please try again.');
+  }
+
+  try {
+    const tokenResponse = await fetch('https://github.com/login/oauth/access_token', {
+      method: 'POST',
+      headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        client_id: process.env.GITHUB_CLIENT_ID,
+        client_secret: process.env.GITHUB_CLIENT_SECRET,
+        code: params.code,
+        redirect_uri: `${session.siteUrl(event)}/.netlify/functions/auth-callback`
+      })
+    });
+    const token = await tokenResponse.json();
+    if (!token.access_token) {
+      return failure(401, token.error_description || 'GitHub did not accept the sign-in');
+    }
+
+    const userResponse = await fetch('https://api.github.com/user', {
+      headers: {
+        'Authorization': `token ${token.access_token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'game-design-review'
+      }
+    });
+    if (!userResponse.ok) {
+      return failure(502, `could not look up the GitHub user (${userResponse.status})`);
+    }
+    const githubUser = await userResponse.json();
+
+    return {
+      statusCode: 302,
+      multiValueHeaders: {
+        'Location': [session.safeReturnPath(started.returnTo)],
+        'Cache-Control': ['no-store'],
+        'Set-Cookie': [
+          session.sessionCookie({
+            id: githubUser.id,
+            login: githubUser.login,
+            name: githubUser.name || githubUser.login,
+            avatarUrl: githubUser.avatar_url
+          }),
+          session.cookie(session.STATE_COOKIE, '', 0)
+        ]
+      },
+      body: ''
+    };
+  } catch (error) {
+    console.error('GitHub sign-in failed:', error);
+    return failure(502, 'could not reach GitHub');
+  }
+};
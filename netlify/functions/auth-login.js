@@ -0,0 +1,44 @@
+// Starts GitHub sign-in: sends the browser to GitHub's OAuth consent page.
+// GitHub returns to auth-callback with a code and the state we set here.
+//
+// Environment: GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET and SESSION_SECRET (any long random string).
+// Register the OAuth app with the callback URL <site>/.netlify/functions/auth-callback.
+const crypto = require('crypto');
+const session = require('../lib/session');
+
+exports.handler = async function(event, context) {
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  if (!session.isSignInEnabled()) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'GitHub sign-in not configured' })
+    };
+  }
+
+  const params = event.queryStringParameters || {};
+  const state = crypto.randomBytes(16).toString('hex');
+  const returnTo = session.safeReturnPath(params.returnTo);
+
+  const authorizeUrl = new URL('https://github.com/login/oauth/authorize');
+  authorizeUrl.searchParams.set('client_id', process.env.GITHUB_CLIENT_ID);
+  authorizeUrl.searchParams.set('redirect_uri', `${session.siteUrl(event)}/.netlify/functions/auth-callback`);
+  authorizeUrl.searchParams.set('scope', 'read:user');
+  authorizeUrl.searchParams.set('state', state);
+
+  return {
+    statusCode: 302,
+    headers: {
+      'Location': authorizeUrl.toString(),
+      'Cache-Control': 'no-store',
+      // Checked by auth-callback to make sure the sign-in was started here
+      'Set-Cookie': session.cookie(session.STATE_COOKIE, session.seal({ state, returnTo, exp: Date.now() + 10 * 60 * 1000 }), 600)
+    },
+    body: ''
+  };
+};
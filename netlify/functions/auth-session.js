@@ -0,0 +1,36 @@
+// Who is signed in. GET returns { enabled, user, canJoin } (user is null when signed out,
+// canJoin whether they may add themselves to the team); DELETE signs out by clearing the session cookie.
+const session = require('../lib/session');
+
+exports.handler = async function(event, context) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  if (event.httpMethod === 'DELETE') {
+    return {
+      statusCode: 200,
+      headers: { ...headers, 'Set-Cookie': session.clearSessionCookie() },
+      body: JSON.stringify({ user: null })
+    };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const user = session.isSignInEnabled() ? session.readSession(event) : null;
+  return {
+    statusCode: 200,
+    headers: headers,
+    body: JSON.stringify({
+      enabled: session.isSignInEnabled(),
+      user: user,
+      canJoin: Boolean(user) && session.isAllowedLogin(user.login)
+    })
+  };
+};
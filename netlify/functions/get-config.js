@@ -0,0 +1,29 @@
+// Deployment-wide defaults for the GitHub storage backend.
+// Set GITHUB_OWNER, GITHUB_REPO, GITHUB_BRANCH and GITHUB_DATA_PATH in the Netlify
+// environment; anything left unset falls back to the defaults built into the app.
+exports.handler = async function(event, context) {
+  // Only allow GET requests
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    },
+    body: JSON.stringify({
+      github: {
+        owner: process.env.GITHUB_OWNER || '',
+        repo: process.env.GITHUB_REPO || '',
+        branch: process.env.GITHUB_BRANCH || '',
+        basePath: process.env.GITHUB_DATA_PATH || ''
+      }
+    })
+  };
+};
@@ -0,0 +1,396 @@
+// Performs the GitHub API calls the app needs on the server, so the token never
+// reaches the browser. Pages POST { method, path, body } describing one GitHub API
+// request; only the endpoints GitHubStorage uses are allowed, only against the
+// configured repositories and data folders, and request bodies are checked first.
+//
+// Environment:
+//   GITHUB_TOKEN          token with contents read/write access (required)
+//   GITHUB_OWNER/REPO     the default repository, as served by get-config
+//   GITHUB_DATA_PATH      the default data folder (default: data)
+//   GITHUB_ALLOWED_REPOS  extra "owner/repo" pairs workspaces may use, comma separated
+//   GITHUB_ALLOWED_PATHS  extra data folders workspaces may use, comma separated
+//   GITHUB_BRANCH         the branch commits go to (default: the repository's default branch)
+//   GITHUB_ALLOWED_BRANCHES  extra branches workspaces may commit to, comma separated
+//
+// Saves are chained by receipts the proxy signs: a tree it built from data files
+// only, a commit of that tree on top of the tree it was built on, and an allowed
+// branch fast-forwarded to that commit from its current head. So a commit can't
+// bring back other files from an old tree or another branch.
+//
+// When GitHub sign-in is configured (see auth-login), only signed-in team members
+// may write: a member in members.json linked to their GitHub login, or a login in
+// ALLOWED_GITHUB_LOGINS. Each commit is authored by the person who made the change.
+const crypto = require('crypto');
+const session = require('../lib/session');
+
+const GITHUB_API = 'https://api.github.com';
+const MAX_BLOB_BYTES = 5 * 1024 * 1024;
+const MAX_TREE_ENTRIES = 500;
+const RECEIPT_MAX_AGE = 10 * 60 * 1000; // a save takes seconds
+
+const SHA = /^[0-9a-f]{40}$/;
+const BRANCH = /^[A-Za-z0-9._\/-]+$/;
+const DOCUMENT = /^(index|members|games|(games|inbox|preferences)\/[A-Za-z0-9_-]+)\.json$/;
+
+function list(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function allowedRepos() {
+  return [
+    `${process.env.GITHUB_OWNER || 'Firudesu'}/${process.env.GITHUB_REPO || 'Gamedesignreview'}`,
+    ...list(process.env.GITHUB_ALLOWED_REPOS)
+  ].map(repo => repo.toLowerCase());
+}
+
+function allowedPaths() {
+  return [process.env.GITHUB_DATA_PATH || 'data', ...list(process.env.GITHUB_ALLOWED_PATHS)]
+    .map(path => path.replace(/^\/+|\/+$/g, ''));
+}
+
+// True for a data file the app reads or writes, e.g. data/index.json or data/games/123.json
+function isDataPath(path) {
+  return allowedPaths().some(base => {
+    if (base === '') return DOCUMENT.test(path);
+    return path.startsWith(`${base}/`) && DOCUMENT.test(path.slice(base.length + 1));
+  });
+}
+
+function allowedBranches(repository) {
+  return [process.env.GITHUB_BRANCH || repository.default_branch, ...list(process.env.GITHUB_ALLOWED_BRANCHES)];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasOnlyKeys(value, keys) {
+  return isPlainObject(value) && Object.keys(value).every(key => keys.includes(key));
+}
+
+// Every request the app makes: [method, endpoint pattern, query params allowed, body validator, path check]
+const ROUTES = [
+  ['GET', /^$/, [], null],
+  ['GET', /^\/contents\/(.+)$/, ['ref'], null, match => isDataPath(decodeURIComponent(match[1]))],
+  // Commit history, only ever of one data file
+  ['GET', /^\/commits$/, ['path', 'sha', 'per_page', 'page'], null,
+    (match, url) => isDataPath(url.searchParams.get('path') || '') && BRANCH.test(url.searchParams.get('sha') || 'HEAD')],
+  ['GET', /^\/git\/ref\/heads\/(.+)$/, [], null, match => BRANCH.test(match[1])],
+  ['GET', /^\/git\/commits\/([0-9a-f]{40})$/, [], null],
+  ['GET', /^\/git\/trees\/([0-9a-f]{40})$/, ['recursive'], null],
+  ['POST', /^\/git\/blobs$/, [], validateBlob],
+  ['POST', /^\/git\/trees$/, [], validateTree],
+  ['POST', /^\/git\/commits$/, [], validateCommit],
+  ['PATCH', /^\/git\/refs\/heads\/(.+)$/, [], validateRefUpdate, match => BRANCH.test(match[1])]
+];
+
+// Blobs must be JSON documents
+function validateBlob(body) {
+  if (!hasOnlyKeys(body, ['content', 'encoding']) || typeof body.content !== 'string') {
+    return 'Blob must be { content, encoding }';
+  }
+  if (body.encoding !== 'utf-8' && body.encoding !== 'base64') {
+    return 'Blob encoding must be utf-8 or base64';
+  }
+
+  const text = body.encoding === 'base64' ? Buffer.from(body.content, 'base64').toString('utf8') : body.content;
+  if (Buffer.byteLength(text) > MAX_BLOB_BYTES) {
+    return 'Blob is too large';
+  }
+  try {
+    JSON.parse(text);
+  } catch (error) {
+    return 'Blob content must be JSON';
+  }
+  return null;
+}
+
+// Trees may only add, replace or delete (a null sha) data files on top of an existing tree
+function validateTree(body) {
+  if (!hasOnlyKeys(body, ['base_tree', 'tree']) || !SHA.test(body.base_tree) || !Array.isArray(body.tree)) {
+    return 'Tree must be { base_tree, tree }';
+  }
+  if (body.tree.length === 0 || body.tree.length > MAX_TREE_ENTRIES) {
+    return 'Tree must change between 1 and 500 files';
+  }
+
+  const invalid = body.tree.find(entry =>
+    !hasOnlyKeys(entry, ['path', 'mode', 'type', 'sha']) ||
+    entry.mode !== '100644' || entry.type !== 'blob' ||
+    !(entry.sha === null || SHA.test(entry.sha)) || !isDataPath(entry.path));
+  return invalid ? `Tree entry not allowed: ${invalid && invalid.path}` : null;
+}
+
+function validateCommit(body) {
+  if (!hasOnlyKeys(body, ['message', 'tree', 'parents', 'receipt']) || typeof body.receipt !== 'string') {
+    return 'Commit must be { message, tree, parents, receipt }';
+  }
+  if (typeof body.message !== 'string' || body.message.length === 0 || body.message.length > 1000) {
+    return 'Commit message must be 1-1000 characters';
+  }
+  if (!SHA.test(body.tree) || !Array.isArray(body.parents) || body.parents.length !== 1 || !SHA.test(body.parents[0])) {
+    return 'Commit must have a tree and exactly one parent';
+  }
+  return null;
+}
+
+// Only fast-forwards: the app never force-pushes
+function validateRefUpdate(body) {
+  if (!hasOnlyKeys(body, ['sha', 'force', 'receipt']) || !SHA.test(body.sha) || body.force !== false ||
+      typeof body.receipt !== 'string') {
+    return 'Ref update must be { sha, force: false, receipt }';
+  }
+  return null;
+}
+
+// "<base64url JSON>.<signature>", signed with the token so only the proxy can issue one
+function receiptSignature(value) {
+  return crypto.createHmac('sha256', process.env.GITHUB_TOKEN).update(`receipt:${value}`).digest('base64url');
+}
+
+function issueReceipt(data) {
+  const value = Buffer.from(JSON.stringify({ ...data, exp: Date.now() + RECEIPT_MAX_AGE })).toString('base64url');
+  return `${value}.${receiptSignature(value)}`;
+}
+
+function readReceipt(receipt) {
+  const [value, mac] = (receipt || '').split('.');
+  const expected = receiptSignature(value || '');
+  if (!mac || mac.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return data.exp > Date.now() ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function respond(statusCode, body) {
+  return {
+    statusCode: statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
+
+// Check a request against the allowlist. Returns an error message, or null if it may be sent.
+function checkRequest(request) {
+  if (!hasOnlyKeys(request, ['method', 'path', 'body', 'raw']) || typeof request.path !== 'string') {
+    return 'Request must be { method, path, body, raw }';
+  }
+
+  const url = new URL(request.path, GITHUB_API);
+  const repoMatch = url.pathname.match(/^\/repos\/([^/]+)\/([^/]+)(.*)$/);
+  if (url.origin !== GITHUB_API || !repoMatch) {
+    return 'Only repository endpoints are allowed';
+  }
+  if (!allowedRepos().includes(`${repoMatch[1]}/${repoMatch[2]}`.toLowerCase())) {
+    return `Repository ${repoMatch[1]}/${repoMatch[2]} is not allowed`;
+  }
+
+  const endpoint = repoMatch[3];
+  const method = request.method || 'GET';
+  if (request.raw !== undefined && (request.raw !== true || method !== 'GET' || !endpoint.startsWith('/contents/'))) {
+    return 'Only file contents can be read raw';
+  }
+  for (const [routeMethod, pattern, query, validateBody, validatePath] of ROUTES) {
+    const match = endpoint.match(pattern);
+    if (routeMethod !== method || !match) continue;
+
+    if (validatePath && !validatePath(match, url)) {
+      return `Path not allowed: ${endpoint}`;
+    }
+    const extraParam = [...url.searchParams.keys()].find(key => !query.includes(key));
+    if (extraParam) {
+      return `Query parameter not allowed: ${extraParam}`;
+    }
+    if (!validateBody) {
+      return request.body === undefined ? null : 'This request takes no body';
+    }
+    return validateBody(request.body);
+  }
+  return `Endpoint not allowed: ${method} ${endpoint}`;
+}
+
+function callGitHub(path, { method = 'GET', body, raw } = {}) {
+  return fetch(new URL(path, GITHUB_API).href, {
+    method: method,
+    headers: {
+      'Authorization': `token ${process.env.GITHUB_TOKEN}`,
+      // Raw reads return the file itself, for data files too large for the JSON response
+      'Accept': raw ? 'application/vnd.github.raw+json' : 'application/vnd.github.v3+json',
+      'Content-Type': 'application/json',
+      'User-Agent': 'game-design-review'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+async function getJson(path) {
+  const response = await callGitHub(path);
+  if (!response.ok) {
+    throw new Error(`GitHub answered ${response.status} for ${path}`);
+  }
+  return response.json();
+}
+
+// True if a GitHub login belongs to a member in one of the repository's data folders, on the configured branch
+async function isTeamMember(repoPath, login) {
+  if (session.isAllowedLogin(login)) return true;
+
+  const branch = allowedBranches(await getJson(repoPath))[0];
+  for (const base of allowedPaths()) {
+    const response = await callGitHub(
+      `${repoPath}/contents/${base ? `${base}/` : ''}members.json?ref=${encodeURIComponent(branch)}`, { raw: true });
+    if (response.status === 404) continue;
+    if (!response.ok) {
+      throw new Error(`GitHub answered ${response.status} for the members of ${base}`);
+    }
+    // Schema 1 stored members as a bare array
+    const document = await response.json();
+    const members = Array.isArray(document) ? document : (document.members || []);
+    if (members.some(member => member.githubLogin && member.githubLogin.toLowerCase() === login.toLowerCase())) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Check a commit or ref update against the receipt of the step before it.
+// Returns { status, message } if it may not be sent, or null.
+async function checkChain(method, repoPath, endpoint, body) {
+  const receipt = readReceipt(body.receipt);
+  if (!receipt || receipt.repo !== repoPath.toLowerCase()) {
+    return { status: 403, message: 'Receipt is missing, expired or not for this repository' };
+  }
+
+  if (method === 'POST') {
+    // A commit of a tree the proxy built, on top of the commit whose tree it was built on
+    if (receipt.tree !== body.tree) {
+      return { status: 403, message: 'Commit tree was not built by this proxy' };
+    }
+    const parent = await getJson(`${repoPath}/git/commits/${body.parents[0]}`);
+    if (parent.tree.sha !== receipt.baseTree) {
+      return { status: 403, message: 'Commit tree must be built on the tree of its parent' };
+    }
+    return null;
+  }
+
+  // A commit the proxy made, fast-forwarding an allowed branch from the head it was made on
+  const branch = endpoint.match(/^\/git\/refs\/heads\/(.+)$/)[1];
+  if (!allowedBranches(await getJson(repoPath)).includes(branch)) {
+    return { status: 403, message: `Branch not allowed: ${branch}` };
+  }
+  if (receipt.commit !== body.sha) {
+    return { status: 403, message: 'Commit was not made by this proxy' };
+  }
+  const ref = await getJson(`${repoPath}/git/ref/heads/${branch}`);
+  if (ref.object.sha !== receipt.parent) {
+    // What GitHub answers when the branch moved: the app rebuilds on the new head
+    return { status: 422, message: 'Update is not a fast forward' };
+  }
+  return null;
+}
+
+exports.handler = async function(event, context) {
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { error: 'Method not allowed' });
+  }
+
+  const githubToken = process.env.GITHUB_TOKEN;
+  if (!githubToken) {
+    return respond(500, { error: 'GitHub token not configured' });
+  }
+
+  let request;
+  try {
+    request = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return respond(400, { error: 'Request body must be JSON' });
+  }
+
+  const problem = checkRequest(request);
+  if (problem) {
+    console.warn('Rejected GitHub request:', problem);
+    return respond(403, { error: problem, message: problem });
+  }
+
+  const method = request.method || 'GET';
+  const user = session.isSignInEnabled() ? session.readSession(event) : null;
+  if (method !== 'GET' && session.isSignInEnabled() && !user) {
+    return respond(401, { error: 'Sign in to save changes', message: 'Sign in to save changes' });
+  }
+
+  const url = new URL(request.path, GITHUB_API);
+  const repoPath = url.pathname.match(/^\/repos\/[^/]+\/[^/]+/)[0];
+  const endpoint = url.pathname.slice(repoPath.length);
+  let body = request.body;
+  if (method !== 'GET' && user) {
+    try {
+      if (!(await isTeamMember(repoPath, user.login))) {
+        const message = `@${user.login} is not on the team. Ask a team member to add your GitHub login.`;
+        console.warn('Rejected GitHub request:', message);
+        return respond(403, { error: message, message: message });
+      }
+    } catch (error) {
+      console.error('GitHub request failed:', error);
+      return respond(502, { error: 'Could not reach GitHub', message: 'Could not reach GitHub' });
+    }
+  }
+  if ((method === 'POST' && endpoint === '/git/commits') || method === 'PATCH') {
+    try {
+      const refused = await checkChain(method, repoPath, endpoint, body);
+      if (refused) {
+        console.warn('Rejected GitHub request:', refused.message);
+        return respond(refused.status, { error: refused.message, message: refused.message });
+      }
+    } catch (error) {
+      console.error('GitHub request failed:', error);
+      return respond(502, { error: 'Could not reach GitHub', message: 'Could not reach GitHub' });
+    }
+    const { receipt, ...rest } = body;
+    body = rest;
+  }
+
+  // Commits are authored by the signed-in person; the token's account stays the committer
+  if (user && method === 'POST' && endpoint === '/git/commits') {
+    body = {
+      ...body,
+      author: {
+        name: user.name || user.login,
+        email: `${user.id}+${user.login}@users.noreply.github.com`
+      }
+    };
+  }
+
+  try {
+    // Send the normalized URL that was checked, not the raw path
+    const response = await callGitHub(url.href, { method: method, body: body, raw: request.raw });
+
+    // Pass GitHub's answer through; the app relies on its status codes (404, 422...)
+    const text = await response.text();
+
+    // New trees and commits come with the receipt the next step needs
+    if (response.ok && method === 'POST' && (endpoint === '/git/trees' || endpoint === '/git/commits')) {
+      const created = JSON.parse(text);
+      const repo = repoPath.toLowerCase();
+      created.receipt = endpoint === '/git/trees'
+        ? issueReceipt({ repo: repo, tree: created.sha, baseTree: body.base_tree })
+        : issueReceipt({ repo: repo, commit: created.sha, parent: body.parents[0] });
+      return respond(response.status, created);
+    }
+
+    return {
+      statusCode: response.status,
+      headers: { 'Content-Type': 'application/json' },
+      body: text || '{}'
+    };
+  } catch (error) {
+    console.error('GitHub request failed:', error);
+    return respond(502, { error: 'Could not reach GitHub', message: 'Could not reach GitHub' });
+  }
+};
@@ -0,0 +1,104 @@
+// Signed session cookies for GitHub sign-in, shared by the auth-* and github-proxy functions.
+// The cookie holds the GitHub user's id, login and name plus an expiry, signed with
+// SESSION_SECRET so it can't be forged or edited in the browser.
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'gdr_session';
+const STATE_COOKIE = 'gdr_oauth_state';
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60; // seconds
+
+function isSignInEnabled() {
+  return Boolean(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET && process.env.SESSION_SECRET);
+}
+
+// GitHub logins in ALLOWED_GITHUB_LOGINS (comma separated) may save and add
+// themselves to the team; everyone else needs a team member to add them first
+function isAllowedLogin(login) {
+  return (process.env.ALLOWED_GITHUB_LOGINS || '').split(',')
+    .map(entry => entry.trim().replace(/^@/, '').toLowerCase())
+    .includes((login || '').toLowerCase());
+}
+
+function signature(value) {
+  return crypto.createHmac('sha256', process.env.SESSION_SECRET).update(value).digest('base64url');
+}
+
+// "<base64url JSON>.<signature>"
+function seal(data) {
+  const value = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${value}.${signature(value)}`;
+}
+
+function unseal(sealed) {
+  if (!sealed || !process.env.SESSION_SECRET) return null;
+
+  const [value, mac] = sealed.split('.');
+  const expected = signature(value || '');
+  if (!mac || mac.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return data.exp && data.exp > Date.now() ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseCookies(event) {
+  const header = (event.headers && (event.headers.cookie || event.headers.Cookie)) || '';
+  const cookies = {};
+  header.split(';').forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      cookies[part.slice(0, separator).trim()] = decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+function cookie(name, value, maxAge, path = '/') {
+  return `${name}=${encodeURIComponent(value)}; Path=${path}; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+// The signed-in user ({ id, login, name, avatarUrl }), or null
+function readSession(event) {
+  const session = unseal(parseCookies(event)[SESSION_COOKIE]);
+  return session ? session.user : null;
+}
+
+function sessionCookie(user) {
+  return cookie(SESSION_COOKIE, seal({ user: user, exp: Date.now() + SESSION_MAX_AGE * 1000 }), SESSION_MAX_AGE);
+}
+
+function clearSessionCookie() {
+  return cookie(SESSION_COOKIE, '', 0);
+}
+
+// Where GitHub sends the browser back to after sign-in
+function siteUrl(event) {
+  return process.env.URL || `https://${event.headers.host}`;
+}
+
+// Only same-site paths, so sign-in can't be used to redirect somewhere else
+function safeReturnPath(path) {
+  return typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') && !path.includes('\\')
+    ? path
+    : '/';
+}
+
+module.exports = {
+  STATE_COOKIE,
+  isSignInEnabled,
+  isAllowedLogin,
+  seal,
+  unseal,
+  parseCookies,
+  cookie,
+  readSession,
+  sessionCookie,
+  clearSessionCookie,
+  siteUrl,
+  safeReturnPath
+};
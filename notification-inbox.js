@@ -0,0 +1,325 @@
+// Mentions and the notification inbox
+//
+// Comments and task descriptions can mention team members as `@Name` (or by their
+// GitHub login). When a game is saved, the task events it gained (see task-history.js)
+// become notifications for the members they concern:
+//   - members mentioned in a new comment, reply or description
+//   - the member a task is assigned to
+//   - on status changes, whoever created the task and everyone who commented on it
+// Nobody is notified about their own changes. Each member's notifications are kept
+// in their own `inbox/<memberId>` document:
+//   { notifications: [{ id, type, gameId, gameName, taskId, taskKey, taskTitle, actor, at, read, ...details }] }
+const INBOX_LIMIT = 100; // notifications kept per member, newest first
+const INBOX_MEMBER_KEY = 'inboxMemberId'; // whose inbox this browser shows when nobody is signed in
+
+class Mentions {
+    // The text split into plain and mention segments: [{ text, member? }].
+    // Names can contain spaces, so the longest name matching after an `@` wins.
+    static parse(text, members) {
+        const handles = members
+            .flatMap(member => [member.name, member.githubLogin]
+                .filter(Boolean)
+                .map(handle => ({ member: member, handle: handle.toLowerCase() })))
+            .sort((a, b) => b.handle.length - a.handle.length);
+        const lower = text.toLowerCase();
+        const segments = [];
+        let plainStart = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            // An @ inside a word is an email address, not a mention
+            if (text[i] !== '@' || (i > 0 && /[\w@]/.test(text[i - 1]))) continue;
+
+            const match = handles.find(({ handle }) =>
+                lower.startsWith(handle, i + 1) && !/\w/.test(text[i + 1 + handle.length] || ''));
+            if (!match) continue;
+
+            const end = i + 1 + match.handle.length;
+            if (i > plainStart) segments.push({ text: text.slice(plainStart, i) });
+            segments.push({ text: text.slice(i, end), member: match.member });
+            plainStart = end;
+            i = end - 1;
+        }
+        if (plainStart < text.length) segments.push({ text: text.slice(plainStart) });
+        return segments;
+    }
+
+    // Members mentioned in a text, each once
+    static find(text, members) {
+        const mentioned = Mentions.parse(text || '', members)
+            .filter(segment => segment.member)
+            .map(segment => segment.member);
+        return [...new Set(mentioned)];
+    }
+
+    // The text as HTML, with mentions highlighted
+    static highlight(text, members, escapeHtml) {
+        return Mentions.parse(text || '', members)
+            .map(segment => segment.member
+                ? `<span class="mention">${escapeHtml(segment.text)}</span>`
+                : escapeHtml(segment.text))
+            .join('');
+    }
+}
+
+class NotificationInbox {
+    // `onOpen(notification)` is called when a notification is clicked
+    constructor(storage, container, onOpen) {
+        this.storage = storage;
+        this.container = container;
+        this.onOpen = onOpen;
+        this.onMemberChange = null; // called when someone picks whose inbox to show
+        this.members = [];
+        this.member = null; // whose inbox is shown
+        this.signedIn = false;
+        this.notifications = [];
+        this.isOpen = false;
+
+        document.addEventListener('click', (e) => {
+            // The path is taken when the click happens, before render() replaces the clicked element
+            if (this.isOpen && this.container && !e.composedPath().includes(this.container)) {
+                this.isOpen = false;
+                this.render();
+            }
+        });
+    }
+
+    // Notifications for the events added to a game's tasks since `before`
+    // (the game as last loaded or saved), each with the `memberId` it is for
+    static fromChanges(before, game, members) {
+        const pastTasks = before ? StorageAdapter.tasksById(before) : {};
+        const seen = new Set();
+        Object.values(pastTasks).forEach(task => (task.history || []).forEach(event => seen.add(event.id)));
+
+        const notifications = [];
+        Object.values(game.issues || {}).flat().forEach(task => {
+            (task.history || []).filter(event => !seen.has(event.id)).forEach(event => {
+                NotificationInbox.recipients(event, task, pastTasks[task.id] || null, game, members)
+                    .filter(({ memberId }) => !(event.actor && event.actor.id === memberId))
+                    .forEach(({ memberId, type, details }) => notifications.push({
+                        id: event.id,
+                        memberId: memberId,
+                        type: type,
+                        gameId: game.id,
+                        gameName: game.name,
+                        taskId: task.id,
+                        taskKey: task.key || null,
+                        taskTitle: task.title,
+                        commentId: event.commentId || null,
+                        actor: event.actor,
+                        at: event.at,
+                        read: false,
+                        ...details
+                    }));
+            });
+        });
+        return notifications;
+    }
+
+    static excerpt(text) {
+        return text.length > 140 ? `${text.substring(0, 140)}...` : text;
+    }
+
+    // The notification without the text of some comments of a task, if it quotes one of
+    // `texts` (what they said before they were deleted or edited). Notifications from
+    // before they recorded their comment are matched by text alone.
+    static withoutCommentText(notification, taskId, commentIds, texts) {
+        const matches = notification.taskId === taskId && notification.text !== undefined
+            && (!notification.commentId || commentIds.includes(notification.commentId))
+            && texts.some(text => NotificationInbox.excerpt(text) === notification.text);
+        if (!matches) return notification;
+
+        const { text, ...rest } = notification;
+        return rest;
+    }
+
+    // Who an event concerns: [{ memberId, type, details }]
+    static recipients(event, task, pastTask, game, members) {
+        const excerpt = NotificationInbox.excerpt;
+        const mentions = (text, previousText) => {
+            const already = Mentions.find(previousText, members);
+            return Mentions.find(text, members)
+                .filter(member => !already.includes(member))
+                .map(member => ({ memberId: member.id, type: 'mention', details: { text: excerpt(text) } }));
+        };
+
+        switch (event.type) {
+            case 'created':
+                return mentions(task.description, null);
+            case 'description':
+                return mentions(event.to, event.from);
+            case 'comment':
+            case 'reply':
+                return mentions(event.text, null);
+            case 'comment-edited': {
+                const pastComment = pastTask && (pastTask.comments || []).find(c => c.id === event.commentId);
+                return mentions(event.text, pastComment ? pastComment.text : null);
+            }
+            case 'assigned':
+                return event.to ? [{ memberId: event.to, type: 'assigned', details: {} }] : [];
+            case 'status':
+            case 'completed':
+            case 'reopened': {
+                const details = {
+                    from: event.from ? Workflow.state(game, event.from).name : null,
+                    to: Workflow.state(game, event.to || task.status).name
+                };
+                return NotificationInbox.followers(task, members)
+                    .map(memberId => ({ memberId: memberId, type: 'status', details: details }));
+            }
+            default:
+                return [];
+        }
+    }
+
+    // Members who created or commented on a task
+    static followers(task, members) {
+        const creation = (task.history || []).find(event => event.type === 'created');
+        const ids = [
+            creation && creation.actor ? creation.actor.id : null,
+            ...(task.comments || []).map(comment => {
+                if (comment.authorId) return comment.authorId;
+                const author = members.find(member => member.name === comment.author);
+                return author ? author.id : null;
+            })
+        ];
+        return [...new Set(ids.filter(Boolean))];
+    }
+
+    // An inbox with new notifications added, newest first and trimmed to INBOX_LIMIT
+    static add(notifications, incoming) {
+        const ids = new Set(notifications.map(notification => notification.id));
+        return [...notifications, ...incoming.filter(notification => !ids.has(notification.id))]
+            .sort((a, b) => new Date(b.at) - new Date(a.at))
+            .slice(0, INBOX_LIMIT);
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    static describe(notification) {
+        const escapeHtml = NotificationInbox.escapeHtml;
+        const actor = `<strong>${escapeHtml(notification.actor ? notification.actor.name : 'Someone')}</strong>`;
+        const task = `<strong>${escapeHtml(notification.taskKey ? `${notification.taskKey} ${notification.taskTitle}` : notification.taskTitle)}</strong>`;
+
+        switch (notification.type) {
+            case 'mention':
+                return `${actor} mentioned you on ${task}`;
+            case 'assigned':
+                return `${actor} assigned ${task} to you`;
+            case 'status':
+                return `${actor} moved ${task} to <strong>${escapeHtml(notification.to)}</strong>`;
+            default:
+                return `${actor} changed ${task}`;
+        }
+    }
+
+    static icon(type) {
+        const icons = {
+            mention: 'fa-at',
+            assigned: 'fa-user-tag',
+            status: 'fa-exchange-alt'
+        };
+        return icons[type] || 'fa-bell';
+    }
+
+    // Show the signed-in member's inbox, or the one last picked in this browser
+    async setMembers(members, currentMember) {
+        this.members = members;
+        this.signedIn = !!currentMember;
+        const pickedId = localStorage.getItem(INBOX_MEMBER_KEY);
+        this.member = currentMember || members.find(member => member.id === pickedId) || null;
+        await this.refresh();
+    }
+
+    async refresh() {
+        this.notifications = this.member ? await this.storage.loadInbox(this.member.id) : [];
+        this.render();
+    }
+
+    get unreadCount() {
+        return this.notifications.filter(notification => !notification.read).length;
+    }
+
+    render() {
+        if (!this.container) return;
+        const escapeHtml = NotificationInbox.escapeHtml;
+        const unread = this.unreadCount;
+
+        this.container.innerHTML = `
+            <button class="btn btn-secondary inbox-toggle" data-inbox-action="toggle" title="Notifications">
+                <i class="fas fa-bell"></i>
+                ${unread > 0 ? `<span class="inbox-badge">${unread}</span>` : ''}
+            </button>
+            <div class="inbox-panel" style="display: ${this.isOpen ? 'block' : 'none'};">
+                <div class="inbox-header">
+                    <strong>Notifications</strong>
+                    ${unread > 0 ? '<button class="inbox-read-all" data-inbox-action="read-all">Mark all read</button>' : ''}
+                </div>
+                ${this.signedIn ? '' : '<select class="inbox-member" title="Whose notifications to show"></select>'}
+                <div class="inbox-list">
+                    ${!this.member ? '<p class="inbox-empty">Pick your name to see your notifications.</p>'
+                        : this.notifications.length === 0 ? '<p class="inbox-empty">No notifications yet.</p>'
+                        : this.notifications.map(notification => `
+                            <div class="inbox-item ${notification.read ? '' : 'unread'}" data-notification-id="${escapeHtml(notification.id)}">
+                                <i class="fas ${NotificationInbox.icon(notification.type)}"></i>
+                                <div class="inbox-item-body">
+                                    <div>${NotificationInbox.describe(notification)}</div>
+                                    ${notification.text ? `<div class="inbox-item-text">"${escapeHtml(notification.text)}"</div>` : ''}
+                                    <div class="inbox-item-meta">${escapeHtml(notification.gameName)} &middot; ${new Date(notification.at).toLocaleString()}</div>
+                                </div>
+                            </div>
+                        `).join('')}
+                </div>
+            </div>
+        `;
+
+        const memberSelect = this.container.querySelector('.inbox-member');
+        if (memberSelect) {
+            memberSelect.add(new Option('Select team member...', ''));
+            this.members.forEach(member => memberSelect.add(new Option(member.name, member.id)));
+            memberSelect.value = this.member ? this.member.id : '';
+            memberSelect.addEventListener('change', () => {
+                localStorage.setItem(INBOX_MEMBER_KEY, memberSelect.value);
+                this.member = this.members.find(member => member.id === memberSelect.value) || null;
+                this.refresh();
+                if (this.onMemberChange) this.onMemberChange();
+            });
+        }
+
+        this.container.querySelector('[data-inbox-action="toggle"]').addEventListener('click', () => {
+            this.isOpen = !this.isOpen;
+            this.render();
+        });
+        const readAll = this.container.querySelector('[data-inbox-action="read-all"]');
+        if (readAll) {
+            readAll.addEventListener('click', () => this.markRead(this.notifications.map(notification => notification.id)));
+        }
+        this.container.querySelectorAll('.inbox-item').forEach(item => {
+            item.addEventListener('click', async () => {
+                const notification = this.notifications.find(n => n.id === item.dataset.notificationId);
+                this.isOpen = false;
+                if (!notification.read) {
+                    await this.markRead([notification.id]);
+                } else {
+                    this.render();
+                }
+                this.onOpen(notification);
+            });
+        });
+    }
+
+    async markRead(ids) {
+        this.notifications = this.notifications.map(notification =>
+            ids.includes(notification.id) ? { ...notification, read: true } : notification);
+        this.render();
+
+        const saved = await this.storage.saveInbox(this.member.id, this.notifications, `Mark notifications read for ${this.member.name}`);
+        if (saved) {
+            this.notifications = saved;
+            this.render();
+        }
+    }
+}
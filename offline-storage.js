@@ -0,0 +1,313 @@
+// Offline support for Game Design Review
+//
+// Wraps a remote storage backend. Every save is first written to a persistent
+// outbox in IndexedDB and then replayed against the remote in order, so edits
+// made with no connection survive closing the tab. Loads fall back to the last
+// copy cached locally (with any queued edits applied) when the remote is unreachable.
+class OfflineStorage extends StorageAdapter {
+    constructor(remote, dbName = 'gameDesignReviewOffline') {
+        super();
+        this.remote = remote;
+        this.label = remote.label;
+        this.store = new KeyValueStore(dbName);
+        this.outbox = null; // loaded lazily from the store
+        this.flushing = null;
+        this.status = 'synced'; // synced, pending, offline or error
+        this.lastError = null; // why the last replay stopped, when status is error
+        this.onStatusChange = null; // (status, pendingCount) => void
+
+        window.addEventListener('online', () => {
+            console.log('Connection restored, replaying queued changes...');
+            this.flush();
+        });
+        window.addEventListener('offline', () => this.setStatus('offline'));
+    }
+
+    async connect() {
+        await this.loadOutbox();
+        try {
+            await this.remote.connect();
+        } catch (error) {
+            if (!this.isNetworkError(error)) throw error;
+            console.warn('Remote storage unreachable, working offline:', error);
+            this.setStatus('offline');
+            return;
+        } finally {
+            this.label = this.remote.label;
+        }
+        await this.flush();
+    }
+
+    async loadOutbox() {
+        if (!this.outbox) {
+            const entries = (await this.store.get('outbox')) || [];
+
+            // Entries queued before multi-document saves held a single document,
+            // and may have been queued by an older version of the schema
+            this.outbox = entries.map(entry => entry.documents ? entry : {
+                id: entry.id,
+                message: entry.message,
+                documents: [{ name: entry.name, content: entry.content, base: entry.base }],
+                queuedAt: entry.queuedAt
+            }).map(entry => ({
+                ...entry,
+                documents: entry.documents.map(document => ({
+                    name: document.name,
+                    content: DataSchema.upgrade(document.name, document.content),
+                    base: DataSchema.upgrade(document.name, document.base)
+                }))
+            }));
+        }
+        return this.outbox;
+    }
+
+    async saveOutbox() {
+        await this.store.set('outbox', this.outbox);
+    }
+
+    // Latest queued content for a document, if any
+    pendingFor(name) {
+        for (let i = this.outbox.length - 1; i >= 0; i--) {
+            const document = this.outbox[i].documents.find(d => d.name === name);
+            if (document) return document;
+        }
+        return null;
+    }
+
+    async loadDocument(name) {
+        await this.loadOutbox();
+        await this.flush();
+
+        try {
+            const content = await this.remote.loadDocument(name);
+            await this.store.set(`cache:${name}`, content);
+
+            // Anything still queued is newer than what the remote has
+            const pending = this.pendingFor(name);
+            return pending ? pending.content : content;
+        } catch (error) {
+            if (!this.isNetworkError(error)) throw error;
+
+            console.warn(`Loading ${name} from the offline cache:`, error);
+            this.setStatus('offline');
+            const pending = this.pendingFor(name);
+            return pending ? pending.content : DataSchema.upgrade(name, (await this.store.get(`cache:${name}`)) || null);
+        }
+    }
+
+    // Queue the change, then try to send it. Resolves to the stored content if the
+    // change went through right away, or to the queued content if it is waiting.
+    async saveDocuments(documents, message = 'Update data') {
+        await this.loadOutbox();
+
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            message: message,
+            documents: documents.map(({ name, content }) => {
+                const previous = this.pendingFor(name);
+                const snapshot = this.remote.snapshots[name];
+                return {
+                    name: name,
+                    content: JSON.parse(JSON.stringify(content)),
+                    base: previous ? previous.content : (snapshot ? snapshot.content : undefined)
+                };
+            }),
+            queuedAt: new Date().toISOString()
+        };
+
+        this.outbox.push(entry);
+        await this.saveOutbox();
+        for (const document of entry.documents) {
+            await this.store.set(`cache:${document.name}`, document.content);
+        }
+
+        let results = await this.flush();
+        if (!results[entry.id] && this.outbox[0] === entry && this.status === 'synced') {
+            // Queued just as a previous flush was finishing
+            results = await this.flush();
+        }
+
+        if (results[entry.id] instanceof Error) {
+            throw results[entry.id];
+        }
+        if (results[entry.id]) {
+            return results[entry.id];
+        }
+        const queued = {};
+        documents.forEach(({ name, content }) => {
+            queued[name] = content;
+        });
+        return queued;
+    }
+
+    // Replay queued changes in order. Stops at the first one that can't be sent.
+    flush() {
+        if (this.flushing) {
+            return this.flushing;
+        }
+
+        this.flushing = (async () => {
+            const results = {};
+            await this.loadOutbox();
+
+            if (!navigator.onLine) {
+                this.setStatus(this.outbox.length > 0 ? 'offline' : this.status);
+                return results;
+            }
+
+            this.remote.conflictResolver = this.conflictResolver;
+            if (this.outbox.length > 0) {
+                this.setStatus('pending');
+            }
+
+            while (this.outbox.length > 0) {
+                const entry = this.outbox[0];
+                try {
+                    // After a reload the remote has no snapshots yet: load them to merge against
+                    for (const document of entry.documents) {
+                        if (!this.remote.snapshots[document.name]) {
+                            await this.remote.loadDocument(document.name);
+                        }
+                    }
+
+                    const saved = await this.remote.saveDocuments(entry.documents, entry.message);
+                    results[entry.id] = saved;
+                    for (const name of Object.keys(saved)) {
+                        await this.store.set(`cache:${name}`, saved[name]);
+                    }
+                } catch (error) {
+                    if (this.isNetworkError(error)) {
+                        console.warn('Still offline, keeping queued changes:', error);
+                        this.setStatus('offline');
+                        return results;
+                    }
+                    if (!(error instanceof DocumentDeletedError) && !(error instanceof SaveCancelledError)) {
+                        console.error('Error replaying queued change:', error);
+                        this.lastError = error;
+                        this.setStatus('error');
+                        return results;
+                    }
+                    // It can never be sent, or its conflicts weren't resolved: the page that queued it hears why
+                    console.warn(`Dropping queued change "${entry.message}": ${error.message}`);
+                    results[entry.id] = error;
+                }
+
+                this.outbox.shift();
+                await this.saveOutbox();
+            }
+
+            this.lastError = null;
+            this.setStatus('synced');
+            return results;
+        })();
+
+        return this.flushing.finally(() => {
+            this.flushing = null;
+        });
+    }
+
+    // The queued change the last replay stopped at, with why, or null when nothing failed
+    failedChange() {
+        if (this.status !== 'error' || !this.outbox || this.outbox.length === 0) return null;
+        return { entry: this.outbox[0], error: this.lastError };
+    }
+
+    // Give up on the failed change so the ones queued after it can go through
+    async discardFailedChange() {
+        const failed = this.failedChange();
+        if (!failed) return;
+
+        console.warn(`Discarding queued change "${failed.entry.message}":`, failed.error);
+        this.outbox.shift();
+        await this.saveOutbox();
+        this.lastError = null;
+        await this.flush();
+    }
+
+    // The failed change as JSON, to keep a copy of it before discarding it
+    exportFailedChange() {
+        const failed = this.failedChange();
+        if (!failed) return null;
+        return JSON.stringify({
+            message: failed.entry.message,
+            queuedAt: failed.entry.queuedAt,
+            error: failed.error ? failed.error.message : null,
+            documents: failed.entry.documents
+        }, null, 2);
+    }
+
+    // Past versions only exist on the remote, so browsing them needs a connection
+    get supportsHistory() {
+        return this.remote.supportsHistory;
+    }
+
+    listRevisions(name, limit) {
+        return this.remote.listRevisions(name, limit);
+    }
+
+    readRevision(name, sha) {
+        return this.remote.readRevision(name, sha);
+    }
+
+    isNetworkError(error) {
+        return !navigator.onLine || error instanceof StorageNetworkError;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        if (this.onStatusChange) {
+            this.onStatusChange(status, this.outbox ? this.outbox.length : 0);
+        }
+    }
+}
+
+// Shows the queued change a replay keeps failing on, shared by the games page and
+// the review page. Both pages provide a #failedChangeModal with a #failedChangeDetails
+// and retry, export and discard buttons.
+class FailedChangeDialog {
+    static show(storage) {
+        const modal = document.getElementById('failedChangeModal');
+        const failed = storage.failedChange ? storage.failedChange() : null;
+        if (!modal || !failed) return;
+
+        const { entry, error } = failed;
+        document.getElementById('failedChangeDetails').innerHTML = `
+            <div class="conflict-item">
+                <div class="conflict-path">${ConflictDialog.escapeHtml(entry.message)}</div>
+                <p class="failed-change-meta">
+                    Queued ${ConflictDialog.escapeHtml(new Date(entry.queuedAt).toLocaleString())}
+                    &middot; ${entry.documents.map(document => ConflictDialog.escapeHtml(document.name)).join(', ')}
+                </p>
+                <p class="failed-change-error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    ${ConflictDialog.escapeHtml(error ? error.message : 'Unknown error')}
+                </p>
+            </div>
+        `;
+
+        const retryBtn = document.getElementById('failedChangeRetryBtn');
+        const exportBtn = document.getElementById('failedChangeExportBtn');
+        const discardBtn = document.getElementById('failedChangeDiscardBtn');
+        const close = () => modal.classList.remove('active');
+
+        retryBtn.onclick = () => {
+            close();
+            storage.flush();
+        };
+        exportBtn.onclick = () => {
+            const blob = new Blob([storage.exportFailedChange()], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `unsaved-change-${entry.id}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        };
+        discardBtn.onclick = async () => {
+            if (!confirm(`Discard "${entry.message}"? This change will be lost unless you exported it.`)) return;
+            close();
+            await storage.discardFailedChange();
+        };
+
+        modal.classList.add('active');
+    }
+}
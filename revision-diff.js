@@ -0,0 +1,83 @@
+// Differences between a past version of a game and the game now
+//
+// Used by the version history panel: for a revision, lists which tasks were
+// added, deleted or changed since, and which of their fields differ.
+
+// Task fields compared between versions, with the label shown for each
+const COMPARED_TASK_FIELDS = {
+    title: 'Title',
+    description: 'Description',
+    category: 'Category',
+    status: 'Status',
+    priority: 'Priority',
+    urgency: 'Urgency',
+    assignee: 'Assignee',
+    completionComment: 'Completion comment'
+};
+
+// Game fields compared between versions
+const COMPARED_GAME_FIELDS = {
+    name: 'Name',
+    description: 'Description',
+    genre: 'Genre',
+    completed: 'Completed'
+};
+
+class RevisionDiff {
+    // { game: [{ field, label, from, to }], tasks: [{ id, title, change, fields, past, current }] }
+    // where `change` is added, removed, deleted, restored or changed - each relative to the past version.
+    static compare(past, current) {
+        const pastTasks = StorageAdapter.tasksById(past);
+        const currentTasks = StorageAdapter.tasksById(current);
+        const ids = [...new Set([...Object.keys(pastTasks), ...Object.keys(currentTasks)])];
+
+        const tasks = ids.map(id => {
+            const before = pastTasks[id] || null;
+            const now = currentTasks[id] || null;
+            const entry = { id: id, title: (now || before).title, past: before, current: now, fields: [] };
+
+            if (!before) {
+                entry.change = 'added';
+            } else if (!now) {
+                entry.change = 'removed';
+            } else if (!before.deletedAt && now.deletedAt) {
+                entry.change = 'deleted';
+            } else if (before.deletedAt && !now.deletedAt) {
+                entry.change = 'restored';
+            } else {
+                entry.fields = RevisionDiff.fieldChanges(before, now);
+                entry.change = entry.fields.length > 0 ? 'changed' : null;
+            }
+            return entry;
+        }).filter(entry => entry.change);
+
+        return {
+            game: RevisionDiff.compareFields(past, current, COMPARED_GAME_FIELDS),
+            tasks: tasks
+        };
+    }
+
+    // Field-by-field differences of a task, plus how many comments and media items it gained or lost
+    static fieldChanges(before, now) {
+        const fields = RevisionDiff.compareFields(before, now, COMPARED_TASK_FIELDS);
+        [['comments', 'Comments'], ['mediaLinks', 'Media']].forEach(([field, label]) => {
+            const from = (before[field] || []).length;
+            const to = (now[field] || []).length;
+            if (from !== to) {
+                fields.push({ field: field, label: label, from: from, to: to });
+            }
+        });
+        return fields;
+    }
+
+    static compareFields(before, now, fields) {
+        return Object.entries(fields)
+            .map(([field, label]) => ({
+                field: field,
+                label: label,
+                from: before[field] === undefined ? null : before[field],
+                to: now[field] === undefined ? null : now[field]
+            }))
+            .filter(change => !DataMerger.isEqual(change.from, change.to));
+    }
+}
@@ -0,0 +1,121 @@
+// Minimal self-hosted storage server for the "Self-hosted server" backend.
+//
+//   node server/storage-server.js [dataDir] [port]
+//
+// GET  /<name>  returns <dataDir>/<name>.json with an ETag (names like index or games/123)
+// PUT  /<name>  replaces it; send If-Match with the ETag you loaded, 412 means it changed.
+//               Replacing a document that exists needs If-Match (428 without one).
+// DELETE /<name> removes it, with the same If-Match rules
+// An optional X-Change-Message header (percent-encoded) describes the change for the log.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const dataDir = path.resolve(process.argv[2] || 'data');
+const port = Number(process.argv[3] || process.env.PORT || 8787);
+const allowedOrigin = process.env.ALLOWED_ORIGIN || '*';
+
+function etagFor(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+}
+
+// The client percent-encodes the message: header values can't hold most of Unicode
+function changeMessage(req, fallback) {
+  const message = req.headers['x-change-message'];
+  if (!message) return fallback;
+  try {
+    return decodeURIComponent(message);
+  } catch (error) {
+    return message;
+  }
+}
+
+function send(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, {
+    'Access-Control-Allow-Origin': allowedOrigin,
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match, X-Change-Message',
+    'Access-Control-Expose-Headers': 'ETag',
+    ...headers
+  });
+  res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    return send(res, 204, '');
+  }
+
+  // Document names are plain words, optionally one folder deep, so requests can't escape the data directory
+  let name;
+  try {
+    name = decodeURIComponent(req.url.split('?')[0]).replace(/^\/+/, '');
+  } catch (error) {
+    return send(res, 400, JSON.stringify({ error: 'Invalid document name' }));
+  }
+  if (!/^[a-z0-9_-]+(\/[a-z0-9_-]+)?$/i.test(name)) {
+    return send(res, 400, JSON.stringify({ error: 'Invalid document name' }));
+  }
+
+  const file = path.join(dataDir, `${name}.json`);
+  const read = () => fs.existsSync(file) ? fs.readFileSync(file) : null;
+
+  if (req.method === 'GET') {
+    const current = read();
+    if (!current) {
+      return send(res, 404, JSON.stringify({ error: 'Not found' }));
+    }
+    return send(res, 200, current, { 'Content-Type': 'application/json', 'ETag': etagFor(current) });
+  }
+
+  const expected = req.headers['if-match'];
+  if (req.method === 'DELETE') {
+    const current = read();
+    if (current && !expected) {
+      return send(res, 428, JSON.stringify({ error: 'If-Match required to delete a document' }));
+    }
+    if (expected && (!current || etagFor(current) !== expected)) {
+      return send(res, 412, JSON.stringify({ error: 'Document changed' }));
+    }
+    if (current) {
+      fs.unlinkSync(file);
+      console.log(`${new Date().toISOString()} ${name}: ${changeMessage(req, 'delete')}`);
+    }
+    return send(res, 204, '');
+  }
+
+  if (req.method !== 'PUT') {
+    return send(res, 405, JSON.stringify({ error: 'Method not allowed' }));
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks);
+    try {
+      JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      return send(res, 400, JSON.stringify({ error: 'Body must be JSON' }));
+    }
+
+    // Checked only now, with the whole body in: another PUT may have been written while this one was arriving.
+    // Nothing else runs between this read and the write below.
+    const current = read();
+    if (current && !expected) {
+      return send(res, 428, JSON.stringify({ error: 'If-Match required to replace a document' }));
+    }
+    if (expected && (!current || etagFor(current) !== expected)) {
+      return send(res, 412, JSON.stringify({ error: 'Document changed' }));
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, body);
+    console.log(`${new Date().toISOString()} ${name}: ${changeMessage(req, 'update')}`);
+    send(res, 200, JSON.stringify({ ok: true }), { 'ETag': etagFor(body) });
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Storage server listening on http://localhost:${port}, data in ${dataDir}`);
+});
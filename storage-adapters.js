@@ -0,0 +1,802 @@
+// Storage backends for Game Design Review
+//
+// Data is stored as separate documents: a small `index` listing every game with
+// its task counts, one `games/<id>` document per game, `members`, and one
+// `inbox/<memberId>` of notifications and one `preferences/<memberId>` per member.
+//
+// Every backend exposes the same interface to the managers:
+//   loadIndex() / saveIndex(index) / loadGame(id) / saveGame(game, message, inbox?)
+//   loadMembers() / saveMembers(members)
+//   loadInbox(memberId) / saveInbox(memberId, notifications) / deliverNotifications(notifications)
+//   loadPreferences(memberId) / savePreferences(memberId, preferences)
+// and implements the primitives on top of which that interface is built:
+//   readDocument(name)  -> { version, content }, or null if it doesn't exist
+//   writeDocument(name, content, { version, message }) -> { version }  (null content deletes it)
+//   writeDocuments(changes, { message }) -> { [name]: version }  (optional, atomic where supported)
+//   listRevisions(name) / readRevision(name, sha)  (optional, backends with version history)
+// Writes throw a StorageConflictError when a `version` no longer matches what is
+// stored; the shared save path then merges with the stored copy and retries.
+// Everything read is upgraded to the current schema first (see data-schema.js).
+const MAX_SAVE_ATTEMPTS = 3;
+
+class StorageConflictError extends Error {
+    constructor(names) {
+        const documents = [].concat(names);
+        super(`${documents.join(', ')} changed by someone else`);
+        this.name = 'StorageConflictError';
+        this.documents = documents;
+    }
+}
+
+// Saving to a document someone else deleted since it was loaded (a purged game, say):
+// writing it would bring it back
+class DocumentDeletedError extends Error {
+    constructor(name) {
+        super(`${name} was deleted by someone else`);
+        this.name = 'DocumentDeletedError';
+        this.document = name;
+    }
+}
+
+// A request that never got an answer (no connection, server down...). fetch() rejects
+// with a plain TypeError for these, same as for bugs, so backends send through fetchRemote.
+class StorageNetworkError extends Error {
+    constructor(cause) {
+        super(`Could not reach the storage: ${cause.message}`);
+        this.name = 'StorageNetworkError';
+        this.cause = cause;
+    }
+}
+
+class SaveCancelledError extends Error {
+    constructor() {
+        super('Save cancelled: conflicting changes were not resolved');
+        this.name = 'SaveCancelledError';
+    }
+}
+
+class StorageAdapter {
+    constructor() {
+        this.label = 'storage';
+        this.snapshots = {}; // document -> { version, content } as last loaded or saved
+        this.conflictResolver = null; // async (conflicts, name) => choices, or null to cancel
+    }
+
+    // Pick the backend configured for the active workspace. Remote backends get an
+    // offline cache and write queue in front of them.
+    static fromSettings(workspace = AppSettings.activeWorkspace()) {
+        switch (workspace.storageBackend) {
+            case 'local':
+                return new LocalStorageAdapter(StorageAdapter.databaseName('gameDesignReview', workspace));
+            case 'http':
+                return new OfflineStorage(new HttpStorageAdapter(workspace.storageUrl),
+                    StorageAdapter.databaseName('gameDesignReviewOffline', workspace));
+            default:
+                return new OfflineStorage(new GitHubStorage(workspace),
+                    StorageAdapter.databaseName('gameDesignReviewOffline', workspace));
+        }
+    }
+
+    // Each workspace keeps its own browser data; the default one keeps the original names
+    static databaseName(base, workspace) {
+        return workspace.id === DEFAULT_WORKSPACE.id ? base : `${base}-${workspace.id}`;
+    }
+
+    // fetch(), with a request that got no answer reported as a StorageNetworkError.
+    // The request is built first so a malformed one (a bad header, say) fails as itself.
+    static async fetchRemote(url, options) {
+        const request = new Request(url, options);
+        try {
+            return await fetch(request);
+        } catch (error) {
+            throw new StorageNetworkError(error);
+        }
+    }
+
+    // Prepare the backend (fetch credentials, open databases...). Safe to call repeatedly.
+    async connect() {}
+
+    async readDocument(name) {
+        throw new Error(`${this.constructor.name} does not implement readDocument`);
+    }
+
+    async writeDocument(name, content, options) {
+        throw new Error(`${this.constructor.name} does not implement writeDocument`);
+    }
+
+    // Backends that can write several documents atomically override this;
+    // by default they are written one after another.
+    async writeDocuments(changes, { message }) {
+        const versions = {};
+        for (const change of changes) {
+            const result = await this.writeDocument(change.name, change.content, {
+                version: change.version,
+                message: message
+            });
+            versions[change.name] = result.version;
+        }
+        return versions;
+    }
+
+    async loadDocument(name) {
+        const document = await this.readDocument(name);
+        if (!document) {
+            delete this.snapshots[name];
+            return null;
+        }
+
+        const content = DataSchema.upgrade(name, document.content);
+        this.rememberSnapshot(name, document.version, content);
+        return content;
+    }
+
+    // Write a document. Resolves to the content that was actually written.
+    async saveDocument(name, content, message = 'Update data', base = undefined) {
+        const saved = await this.saveDocuments([{ name, content, base }], message);
+        return saved[name];
+    }
+
+    // Write several documents as one change. If someone else changed any of them
+    // since we loaded it, their changes are merged with ours first.
+    // Each document is { name, content, base? } where `base` is the content the edit
+    // was made against, when that isn't our last snapshot (offline queue replays).
+    // A null `content` deletes the document.
+    // Resolves to { [name]: content as actually written }.
+    async saveDocuments(documents, message = 'Update data') {
+        const data = {};
+        for (const { name, content, base } of documents) {
+            const current = this.snapshots[name];
+            data[name] = content;
+            if (content !== null && base !== undefined && current && !DataMerger.isEqual(base, current.content)) {
+                data[name] = await this.mergeWithRemote(name, base, content, current.content);
+            }
+        }
+
+        for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+            documents.forEach(({ name }) => {
+                const stored = this.snapshots[name];
+                data[name] = StorageAdapter.prepareForWrite(name, data[name], stored ? stored.content : null);
+            });
+
+            try {
+                const versions = await this.writeDocuments(documents.map(({ name }) => ({
+                    name: name,
+                    content: data[name],
+                    version: this.snapshots[name] ? this.snapshots[name].version : undefined
+                })), { message });
+
+                documents.forEach(({ name }) => {
+                    if (data[name] === null) {
+                        delete this.snapshots[name];
+                    } else {
+                        this.rememberSnapshot(name, versions[name], data[name]);
+                    }
+                });
+                return data;
+            } catch (error) {
+                if (!(error instanceof StorageConflictError) || attempt === MAX_SAVE_ATTEMPTS) {
+                    throw error;
+                }
+
+                for (const name of error.documents) {
+                    console.log(`${name} changed since it was loaded, merging (attempt ${attempt})...`);
+                    const snapshot = this.snapshots[name];
+                    const remote = await this.readDocument(name);
+                    if (remote) {
+                        remote.content = DataSchema.upgrade(name, remote.content);
+                    }
+                    if (!remote && snapshot && data[name] !== null) {
+                        throw new DocumentDeletedError(name);
+                    }
+                    if (remote && snapshot && data[name] !== null) {
+                        data[name] = await this.mergeWithRemote(name, snapshot.content, data[name], remote.content);
+                    }
+                    if (remote) {
+                        this.rememberSnapshot(name, remote.version, remote.content);
+                    } else {
+                        delete this.snapshots[name];
+                    }
+                }
+            }
+        }
+    }
+
+    // Last changes before a document is written, made against the stored copy: task keys
+    // are numbered here so tasks two people added at the same time never share one
+    static prepareForWrite(name, content, stored) {
+        if (DataSchema.kindOf(name) !== 'game' || !content) {
+            return content;
+        }
+        return TaskKeys.assign(JSON.parse(JSON.stringify(content)), stored);
+    }
+
+    async mergeWithRemote(name, base, local, remote) {
+        if (DataSchema.kindOf(name) === 'game' && local && remote) {
+            // Both sides may have numbered new tasks: the counter keeps the higher, never a conflict
+            const nextKeyNumber = Math.max(TaskKeys.nextNumber(local), TaskKeys.nextNumber(remote));
+            local = { ...local, nextKeyNumber };
+            remote = { ...remote, nextKeyNumber };
+        }
+        const { merged, conflicts } = DataMerger.merge(base, local, remote);
+        if (conflicts.length === 0) {
+            return merged;
+        }
+
+        if (!this.conflictResolver) {
+            console.warn(`${conflicts.length} conflicting change(s) in ${name}, keeping local values`);
+            return merged;
+        }
+
+        const choices = await this.conflictResolver(conflicts, name);
+        if (!choices) {
+            throw new SaveCancelledError();
+        }
+        return DataMerger.applyResolutions(merged, conflicts, choices);
+    }
+
+    // Keep a private copy of what we last loaded, used as the base for three-way merges
+    rememberSnapshot(name, version, content) {
+        this.snapshots[name] = {
+            version: version,
+            content: JSON.parse(JSON.stringify(content))
+        };
+    }
+
+    // Summary of a game as listed in the index
+    static summarizeGame(game) {
+        const allIssues = Object.values(game.issues || {}).flat();
+        const completed = allIssues.filter(issue => Workflow.isDone(game, issue.status)).length;
+
+        return {
+            id: game.id,
+            name: game.name,
+            description: game.description,
+            genre: game.genre,
+            completed: game.completed,
+            archived: game.archived,
+            deletedAt: game.deletedAt,
+            deletedBy: game.deletedBy,
+            deleteReason: game.deleteReason,
+            createdAt: game.createdAt,
+            updatedAt: game.updatedAt,
+            stats: {
+                total: allIssues.length,
+                open: allIssues.length - completed,
+                completed: completed,
+                categories: Categories.of(game).map(category => {
+                    const tasks = (game.issues || {})[category.id] || [];
+                    return {
+                        id: category.id,
+                        name: category.name,
+                        icon: category.icon,
+                        color: category.color,
+                        total: tasks.length,
+                        open: tasks.filter(task => !Workflow.isDone(game, task.status)).length
+                    };
+                })
+            }
+        };
+    }
+
+    static indexDocument(games) {
+        return { schemaVersion: SCHEMA_VERSION, games: games };
+    }
+
+    // Copy of the index's game list with the game's entry added or replaced
+    static withSummary(index, game) {
+        const summary = StorageAdapter.summarizeGame(game);
+        const position = index.findIndex(entry => entry.id === game.id);
+        return position === -1
+            ? [...index, summary]
+            : index.map(entry => entry.id === game.id ? summary : entry);
+    }
+
+    // Load the games index, splitting the legacy single games file on first use
+    async loadIndex() {
+        try {
+            const index = await this.loadDocument('index');
+            if (index) {
+                return index.games;
+            }
+
+            const legacyGames = await this.loadDocument('games');
+            return legacyGames ? await this.migrateLegacyGames(legacyGames) : [];
+        } catch (error) {
+            if (error instanceof DataValidationError) throw error;
+            console.error('Error loading games index:', error);
+            return [];
+        }
+    }
+
+    // One-time migration from data/games.json to one document per game.
+    // The old file is left in place as a backup.
+    async migrateLegacyGames(games) {
+        console.log(`Migrating ${games.length} game(s) to per-game files...`);
+
+        const index = StorageAdapter.indexDocument(games.map(game => StorageAdapter.summarizeGame(game)));
+        const saved = await this.saveDocuments([
+            ...games.map(game => ({ name: `games/${game.id}`, content: game })),
+            { name: 'index', content: index }
+        ], 'Split games.json into one file per game');
+        return saved.index.games;
+    }
+
+    // Save the games index, resolving to the index as stored (after any merge)
+    async saveIndex(index, message = 'Update games index') {
+        try {
+            const saved = await this.saveDocument('index', StorageAdapter.indexDocument(index), message);
+            return saved.games;
+        } catch (error) {
+            console.error('Error saving games index:', error);
+            return false;
+        }
+    }
+
+    // Load one game with all its tasks
+    async loadGame(gameId) {
+        try {
+            const game = await this.loadDocument(`games/${gameId}`);
+            if (game || await this.loadDocument('index')) {
+                return game;
+            }
+
+            // Opened before the games file was split up: migrate, then try again
+            await this.loadIndex();
+            return await this.loadDocument(`games/${gameId}`);
+        } catch (error) {
+            if (error instanceof DataValidationError) throw error;
+            console.error('Error loading game:', error);
+            return null;
+        }
+    }
+
+    // Save one game together with its refreshed index entry, as a single change.
+    // `inbox` ({ notifications, memberIds, update }, see inboxDocuments) changes
+    // members' notifications in that same change.
+    // Resolves to the game as stored (after any merge), or false; throws a
+    // SaveCancelledError when conflicts were left unresolved.
+    async saveGame(game, message = `Update ${game.name}`, inbox = {}) {
+        try {
+            const content = { ...game, schemaVersion: SCHEMA_VERSION };
+            const index = (await this.loadDocument('index')) || StorageAdapter.indexDocument([]);
+            const saved = await this.saveDocuments([
+                { name: `games/${game.id}`, content: content },
+                { name: 'index', content: { ...index, games: StorageAdapter.withSummary(index.games, content) } },
+                ...await this.inboxDocuments(inbox.notifications, inbox.memberIds, inbox.update)
+            ], message);
+
+            // Someone else's edits were merged in: bring the counts up to date
+            const savedGame = saved[`games/${game.id}`];
+            if (!DataMerger.isEqual(StorageAdapter.summarizeGame(savedGame), StorageAdapter.summarizeGame(content))) {
+                await this.saveDocument('index', {
+                    ...saved.index,
+                    games: StorageAdapter.withSummary(saved.index.games, savedGame)
+                }, message);
+            }
+
+            return savedGame;
+        } catch (error) {
+            // Not a failure: the caller tells the person and shows the game as stored
+            if (error instanceof SaveCancelledError) throw error;
+            console.error('Error saving game:', error);
+            return false;
+        }
+    }
+
+    // Delete a game for good: its file and its index entry, as a single change.
+    // Resolves to the index's game list, or false if it failed.
+    async purgeGame(gameId, message) {
+        try {
+            const index = (await this.loadDocument('index')) || StorageAdapter.indexDocument([]);
+            const saved = await this.saveDocuments([
+                { name: `games/${gameId}`, content: null },
+                { name: 'index', content: { ...index, games: index.games.filter(entry => entry.id !== gameId) } }
+            ], message);
+            return saved.index.games;
+        } catch (error) {
+            console.error('Error purging game:', error);
+            return false;
+        }
+    }
+
+    // Backends that keep past versions implement listRevisions(name) and readRevision(name, sha)
+    get supportsHistory() {
+        return typeof this.listRevisions === 'function';
+    }
+
+    // Past versions of one game, newest first. Includes the commits from before the
+    // games file was split up, back to when the game was created.
+    async listGameRevisions(game) {
+        const [own, legacy] = await Promise.all([
+            this.listRevisions(`games/${game.id}`),
+            this.listRevisions('games').catch(() => [])
+        ]);
+        const since = game.createdAt ? new Date(game.createdAt) : null;
+        return [...own, ...legacy.filter(revision => !since || new Date(revision.date) >= since)]
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    // The game as it was at a revision, or null if it didn't exist yet
+    async readGameRevision(gameId, revision) {
+        const content = await this.readRevision(revision.document, revision.sha);
+        if (revision.document === 'games') {
+            return (content || []).find(game => game.id === gameId) || null;
+        }
+        return content;
+    }
+
+    // Every task of a game, active and deleted, by id
+    static tasksById(game) {
+        const tasks = {};
+        [...Object.values(game.issues || {}).flat(), ...(game.deletedTasks || [])].forEach(task => {
+            tasks[task.id] = task;
+        });
+        return tasks;
+    }
+
+    // Copy of a game without the task, wherever it is (any category or the deleted tasks)
+    static withoutTask(game, taskId) {
+        const issues = {};
+        Object.entries(game.issues || {}).forEach(([category, tasks]) => {
+            issues[category] = tasks.filter(task => task.id !== taskId);
+        });
+        return {
+            ...game,
+            issues: issues,
+            deletedTasks: (game.deletedTasks || []).filter(task => task.id !== taskId)
+        };
+    }
+
+    // Put one task back the way it was at a revision. Its history up to now is kept,
+    // with a "restored" event added. Resolves to the game as stored, or false.
+    async restoreTask(gameId, pastTask, revision, actor) {
+        const current = await this.loadGame(gameId);
+        if (!current) return false;
+
+        const now = StorageAdapter.tasksById(current)[pastTask.id];
+        const task = { ...JSON.parse(JSON.stringify(pastTask)), history: JSON.parse(JSON.stringify((now || pastTask).history || [])) };
+        delete task.deletedAt;
+        delete task.deletedBy;
+        delete task.deleteReason;
+        TaskHistory.record(task, 'restored', actor, { revision: revision.sha });
+
+        const game = StorageAdapter.withoutTask(current, task.id);
+        task.category = Categories.resolve(game, task.category);
+        game.issues[task.category] = [...(game.issues[task.category] || []), task];
+        game.updatedAt = task.updatedAt;
+        return this.saveGame(game, `Restore "${task.title}" in ${game.name} from ${revision.sha.substring(0, 7)}`);
+    }
+
+    // Put a whole game back the way it was at a revision. Task histories are kept, and
+    // tasks created since are moved to the deleted tasks rather than lost.
+    async restoreGame(gameId, pastGame, revision, actor) {
+        const current = await this.loadGame(gameId);
+        if (!current) return false;
+
+        const shortSha = revision.sha.substring(0, 7);
+        const currentTasks = StorageAdapter.tasksById(current);
+        const game = { ...JSON.parse(JSON.stringify(pastGame)), id: gameId, updatedAt: new Date().toISOString() };
+        game.deletedTasks = game.deletedTasks || [];
+
+        const pastTasks = StorageAdapter.tasksById(game);
+        Object.values(pastTasks).forEach(task => {
+            const now = currentTasks[task.id];
+            // Unchanged since the revision: keep it exactly as it is now
+            if (now && DataMerger.isEqual({ ...task, history: now.history, updatedAt: now.updatedAt }, now)) {
+                Object.assign(task, { history: now.history, updatedAt: now.updatedAt });
+                return;
+            }
+            task.history = JSON.parse(JSON.stringify((now || task).history || []));
+            TaskHistory.record(task, 'restored', actor, { revision: revision.sha });
+        });
+
+        Object.values(currentTasks)
+            .filter(task => !pastTasks[task.id])
+            .forEach(task => {
+                const removed = JSON.parse(JSON.stringify(task));
+                if (!removed.deletedAt) {
+                    const reason = `Removed by restoring ${shortSha}`;
+                    TaskHistory.record(removed, 'deleted', actor, { reason: reason });
+                    removed.deletedAt = removed.updatedAt;
+                    removed.deletedBy = actor ? actor.name : 'Unknown';
+                    removed.deleteReason = reason;
+                }
+                game.deletedTasks.push(removed);
+            });
+
+        return this.saveGame(game, `Restore ${game.name} from ${shortSha}`);
+    }
+
+    // Load all members
+    async loadMembers() {
+        try {
+            const members = await this.loadDocument('members');
+            return members ? members.members : [];
+        } catch (error) {
+            if (error instanceof DataValidationError) throw error;
+            console.error('Error loading members:', error);
+            return [];
+        }
+    }
+
+    // Save all members, resolving to the members as stored (after any merge)
+    async saveMembers(members, message = 'Update members data') {
+        try {
+            const saved = await this.saveDocument('members', {
+                schemaVersion: SCHEMA_VERSION,
+                members: members
+            }, message);
+            return saved.members;
+        } catch (error) {
+            console.error('Error saving members:', error);
+            return false;
+        }
+    }
+
+    // One member's notifications, newest first
+    async loadInbox(memberId) {
+        try {
+            const inbox = await this.loadDocument(`inbox/${memberId}`);
+            return inbox ? inbox.notifications : [];
+        } catch (error) {
+            if (error instanceof DataValidationError) throw error;
+            console.error('Error loading notifications:', error);
+            return [];
+        }
+    }
+
+    // Save one member's notifications, resolving to them as stored (after any merge)
+    async saveInbox(memberId, notifications, message = 'Update notifications') {
+        try {
+            const saved = await this.saveDocument(`inbox/${memberId}`, {
+                schemaVersion: SCHEMA_VERSION,
+                notifications: notifications
+            }, message);
+            return saved.notifications;
+        } catch (error) {
+            console.error('Error saving notifications:', error);
+            return false;
+        }
+    }
+
+    // One member's preferences: { views, taskList } (taskList is null until they choose one)
+    async loadPreferences(memberId) {
+        try {
+            const preferences = await this.loadDocument(`preferences/${memberId}`);
+            return {
+                views: preferences ? preferences.views : [],
+                taskList: (preferences && preferences.taskList) || null
+            };
+        } catch (error) {
+            if (error instanceof DataValidationError) throw error;
+            console.error('Error loading preferences:', error);
+            return { views: [], taskList: null };
+        }
+    }
+
+    // Save one member's preferences, resolving to them as stored (after any merge)
+    async savePreferences(memberId, preferences, message = 'Update preferences') {
+        try {
+            const saved = await this.saveDocument(`preferences/${memberId}`, {
+                schemaVersion: SCHEMA_VERSION,
+                views: preferences.views,
+                taskList: preferences.taskList || null
+            }, message);
+            return { views: saved.views, taskList: saved.taskList || null };
+        } catch (error) {
+            console.error('Error saving preferences:', error);
+            return false;
+        }
+    }
+
+    // Add notifications (each with the `memberId` it is for) to their members'
+    // inboxes, as a single change
+    async deliverNotifications(notifications, message = 'Notify team members') {
+        try {
+            const documents = await this.inboxDocuments(notifications);
+            if (documents.length > 0) {
+                await this.saveDocuments(documents, message);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error delivering notifications:', error);
+            return false;
+        }
+    }
+
+    // Inbox documents to save for new `notifications` (each with the `memberId` it is
+    // for) and for `update(notification)`, which returns the notification to keep,
+    // applied to what the members in `memberIds` already have. A missed notification
+    // isn't worth failing a save over, so an inbox that can't be read is left out.
+    async inboxDocuments(notifications = [], memberIds = [], update = null) {
+        const documents = [];
+        const recipients = new Set([...notifications.map(notification => notification.memberId), ...(update ? memberIds : [])]);
+        for (const memberId of recipients) {
+            const name = `inbox/${memberId}`;
+            try {
+                const inbox = await this.loadDocument(name);
+                const stored = inbox ? inbox.notifications : [];
+                const kept = update && memberIds.includes(memberId) ? stored.map(update) : stored;
+                const incoming = notifications.filter(notification => notification.memberId === memberId);
+                const changed = incoming.length > 0 ? NotificationInbox.add(kept, incoming) : kept;
+                if (!DataMerger.isEqual(changed, stored)) {
+                    documents.push({ name: name, content: { schemaVersion: SCHEMA_VERSION, notifications: changed } });
+                }
+            } catch (error) {
+                console.error(`Error reading ${name}, leaving its notifications unchanged:`, error);
+            }
+        }
+        return documents;
+    }
+}
+
+// Minimal promise wrapper around one IndexedDB object store.
+// Falls back to localStorage where IndexedDB is unavailable (private windows, old browsers).
+class KeyValueStore {
+    constructor(dbName, storeName = 'documents') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn(`IndexedDB unavailable for ${this.dbName}, using localStorage`, request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+            const request = operation(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    fallbackKey(key) {
+        return `${this.dbName}:${this.storeName}:${key}`;
+    }
+
+    async get(key) {
+        if (!(await this.open())) {
+            const value = localStorage.getItem(this.fallbackKey(key));
+            return value === null ? undefined : JSON.parse(value);
+        }
+        return this.request('readonly', store => store.get(key));
+    }
+
+    async set(key, value) {
+        if (!(await this.open())) {
+            localStorage.setItem(this.fallbackKey(key), JSON.stringify(value));
+            return;
+        }
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async delete(key) {
+        if (!(await this.open())) {
+            localStorage.removeItem(this.fallbackKey(key));
+            return;
+        }
+        await this.request('readwrite', store => store.delete(key));
+    }
+}
+
+// Keeps everything in this browser - for solo use without any server
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(dbName = 'gameDesignReview') {
+        super();
+        this.label = 'this browser';
+        this.store = new KeyValueStore(dbName);
+    }
+
+    async connect() {
+        await this.store.open();
+    }
+
+    async readDocument(name) {
+        const record = await this.store.get(name);
+        return record ? { version: record.version, content: record.content } : null;
+    }
+
+    // Versions are revision counters, so a save from another tab is detected as a conflict
+    async writeDocument(name, content, { version }) {
+        const current = await this.store.get(name);
+        const currentVersion = current ? current.version : null;
+
+        if (version !== undefined && version !== currentVersion) {
+            throw new StorageConflictError(name);
+        }
+
+        if (content === null) {
+            await this.store.delete(name);
+            return { version: null };
+        }
+
+        const nextVersion = (currentVersion || 0) + 1;
+        await this.store.set(name, { version: nextVersion, content: content });
+        return { version: nextVersion };
+    }
+}
+
+// Talks to a small self-hosted JSON server (see server/storage-server.js).
+// GET <url>/<name> returns the document with an ETag; PUT <url>/<name> stores it
+// and DELETE <url>/<name> removes it, honouring If-Match and answering 412 when the document changed in between
+// (428 when it exists and we sent none).
+class HttpStorageAdapter extends StorageAdapter {
+    constructor(baseUrl) {
+        super();
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        this.label = this.baseUrl || 'the storage server';
+    }
+
+    async connect() {
+        if (!this.baseUrl) {
+            throw new Error('No storage server URL configured. Set one in Settings.');
+        }
+    }
+
+    async readDocument(name) {
+        const response = await StorageAdapter.fetchRemote(`${this.baseUrl}/${name}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Storage server error: ${response.status} - ${response.statusText}`);
+        }
+
+        return {
+            version: response.headers.get('ETag'),
+            content: await response.json()
+        };
+    }
+
+    async writeDocument(name, content, { version, message }) {
+        const headers = {
+            'Content-Type': 'application/json',
+            // Header values must be Latin-1, and messages carry game and task names
+            'X-Change-Message': encodeURIComponent(message)
+        };
+        if (version) {
+            headers['If-Match'] = version;
+        }
+
+        const response = await StorageAdapter.fetchRemote(`${this.baseUrl}/${name}`, content === null ? {
+            method: 'DELETE',
+            headers: headers
+        } : {
+            method: 'PUT',
+            headers: headers,
+            body: JSON.stringify(content, null, 2)
+        });
+
+        // 428: the document was created since we found it missing
+        if (response.status === 412 || response.status === 428) {
+            throw new StorageConflictError(name);
+        }
+        if (!response.ok) {
+            throw new Error(`Storage server error: ${response.status} - ${response.statusText}`);
+        }
+
+        return { version: response.headers.get('ETag') };
+    }
+}
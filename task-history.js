@@ -0,0 +1,163 @@
+// Activity history for tasks
+//
+// Every change to a task is recorded as an event in `task.history`:
+//   { id, type, actor: { id, name } | null, at, ...details }
+// Events have unique ids, so history from people editing at the same time is
+// combined by the three-way merge instead of conflicting.
+
+// Task fields whose changes are recorded by TaskHistory.recordChanges, and the event each produces
+const TRACKED_TASK_FIELDS = {
+    title: 'title',
+    description: 'description',
+    category: 'category',
+    status: 'status',
+    assignee: 'assigned',
+    priority: 'priority',
+    urgency: 'urgency',
+    mediaLinks: 'media'
+};
+
+class TaskHistory {
+    static createEvent(type, actor, details = {}) {
+        return {
+            id: DataMerger.newId(),
+            type: type,
+            actor: actor ? { id: actor.id || null, name: actor.name } : null,
+            at: new Date().toISOString(),
+            ...details
+        };
+    }
+
+    // Add an event to the task and bump its updatedAt
+    static record(task, type, actor, details = {}) {
+        const event = TaskHistory.createEvent(type, actor, details);
+        task.history = task.history || [];
+        task.history.push(event);
+        task.updatedAt = event.at;
+        return event;
+    }
+
+    // Record an event for every tracked field that differs between `before` and the task now
+    static recordChanges(task, before, actor) {
+        Object.entries(TRACKED_TASK_FIELDS).forEach(([field, type]) => {
+            const from = before[field] === undefined ? null : before[field];
+            const to = task[field] === undefined ? null : task[field];
+            if (DataMerger.isEqual(from, to)) return;
+
+            if (field === 'mediaLinks') {
+                const fromUrls = (from || []).map(media => media.url);
+                const toUrls = (to || []).map(media => media.url);
+                TaskHistory.record(task, type, actor, {
+                    added: toUrls.filter(url => !fromUrls.includes(url)).length,
+                    removed: fromUrls.filter(url => !toUrls.includes(url)).length
+                });
+            } else {
+                TaskHistory.record(task, type, actor, { from: from, to: to });
+            }
+        });
+    }
+
+    // Drop the text of the comments from their events ('comment', 'reply', 'comment-edited'),
+    // for when they are deleted or edited. Returns the texts dropped.
+    static forgetCommentText(task, commentIds) {
+        const texts = [];
+        (task.history || []).forEach(event => {
+            if (event.commentId && commentIds.includes(event.commentId) && event.text !== undefined) {
+                texts.push(event.text);
+                delete event.text;
+            }
+        });
+        return texts;
+    }
+
+    // Events oldest first
+    static timeline(task) {
+        return [...(task.history || [])].sort((a, b) => new Date(a.at) - new Date(b.at));
+    }
+
+    // One line describing an event, as HTML. `memberName(id)` resolves assignees
+    // and `stateName(id)` workflow states.
+    static describe(event, memberName, escapeHtml, stateName = id => id) {
+        const value = text => `<strong>${escapeHtml(text === null || text === undefined ? 'none' : String(text))}</strong>`;
+        const excerpt = text => escapeHtml(text.length > 80 ? `${text.substring(0, 80)}...` : text);
+
+        switch (event.type) {
+            case 'created':
+                return 'created the task';
+            case 'title':
+                return `renamed it from ${value(event.from)} to ${value(event.to)}`;
+            case 'description':
+                return event.to
+                    ? `edited the description: "${excerpt(event.to)}"`
+                    : 'removed the description';
+            case 'category':
+                return `moved it from ${value(event.from)} to ${value(event.to)}`;
+            case 'status':
+                return `changed status from ${value(stateName(event.from))} to ${value(stateName(event.to))}`;
+            case 'assigned':
+                return event.to
+                    ? `assigned it to ${value(memberName(event.to))}`
+                    : `unassigned ${value(memberName(event.from))}`;
+            case 'priority':
+            case 'urgency':
+                return `changed ${event.type} from ${value(event.from)} to ${value(event.to)}`;
+            case 'comment':
+                return `commented${event.text ? `: "${excerpt(event.text)}"` : ''}`;
+            case 'reply':
+                return `replied to a comment${event.text ? `: "${excerpt(event.text)}"` : ''}`;
+            case 'comment-edited':
+                return `edited a comment${event.text ? `: "${excerpt(event.text)}"` : ''}`;
+            case 'comment-deleted':
+                return 'deleted a comment';
+            case 'comment-resolved':
+                return 'resolved a comment thread';
+            case 'comment-reopened':
+                return 'reopened a comment thread';
+            case 'completed': {
+                // Games may have several done states ("Completed", "Won't Fix"...)
+                const outcome = event.to && event.to !== 'completed' ? ` as ${value(stateName(event.to))}` : '';
+                return `completed the task${outcome}${event.comment ? `: "${excerpt(event.comment)}"` : ''}`;
+            }
+            case 'reopened':
+                return 'reopened the task';
+            case 'media':
+                return [
+                    event.added ? `added ${event.added} media item${event.added === 1 ? '' : 's'}` : '',
+                    event.removed ? `removed ${event.removed} media item${event.removed === 1 ? '' : 's'}` : ''
+                ].filter(Boolean).join(' and ') || 'changed the media';
+            case 'deleted':
+                return `deleted the task${event.reason ? `: "${excerpt(event.reason)}"` : ''}`;
+            case 'restored':
+                return event.revision
+                    ? `restored the task from revision ${value(event.revision.substring(0, 7))}`
+                    : 'restored the task';
+            default:
+                return escapeHtml(event.type);
+        }
+    }
+
+    static icon(type) {
+        const icons = {
+            created: 'fa-plus-circle',
+            title: 'fa-heading',
+            description: 'fa-align-left',
+            category: 'fa-folder-open',
+            status: 'fa-exchange-alt',
+            assigned: 'fa-user-tag',
+            priority: 'fa-flag',
+            urgency: 'fa-clock',
+            comment: 'fa-comment',
+            reply: 'fa-reply',
+            'comment-edited': 'fa-edit',
+            'comment-deleted': 'fa-comment-slash',
+            'comment-resolved': 'fa-check',
+            'comment-reopened': 'fa-undo',
+            completed: 'fa-check-circle',
+            reopened: 'fa-undo',
+            media: 'fa-images',
+            deleted: 'fa-trash',
+            restored: 'fa-trash-restore'
+        };
+        return icons[type] || 'fa-circle';
+    }
+}
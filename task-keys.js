@@ -0,0 +1,82 @@
+// Human-readable task keys
+//
+// Every game has a `keyPrefix` (e.g. SMURF) and each of its tasks a `key` made of
+// the prefix and a number: SMURF-42. Numbers go up by one per task, counted by the
+// game's `nextKeyNumber` so a number stays used up after its task is purged. Two
+// people adding tasks at the same time would pick the same number, so keys are
+// checked against the stored copy of the game just before every write (see
+// StorageAdapter.saveDocuments): keys already stored never change, and new tasks
+// whose key was taken in the meantime get the next free number.
+const TASK_KEY_PATTERN = /\b[A-Z][A-Z0-9]*-\d+\b/g;
+
+class TaskKeys {
+    // A prefix from a game's name: initials of several words, or the start of one
+    static prefixFor(name) {
+        const words = String(name || '').toUpperCase().match(/[A-Z0-9]+/g) || [];
+        const prefix = words.length > 1 ? words.map(word => word[0]).join('') : (words[0] || '').slice(0, 5);
+        return /^[A-Z]/.test(prefix) ? prefix.slice(0, 6) : 'TASK';
+    }
+
+    static isValidPrefix(prefix) {
+        return /^[A-Z][A-Z0-9]{0,9}$/.test(prefix);
+    }
+
+    // Active and deleted tasks of a game
+    static allTasks(game) {
+        return [...Object.values((game && game.issues) || {}).flat(), ...((game && game.deletedTasks) || [])];
+    }
+
+    static numberOf(key) {
+        const match = /-(\d+)$/.exec(key || '');
+        return match ? Number(match[1]) : 0;
+    }
+
+    // The number the next new task of `game` gets: past every number it ever handed
+    // out, including to tasks since purged
+    static nextNumber(game) {
+        return Math.max(1, (game && game.nextKeyNumber) || 0,
+            ...TaskKeys.allTasks(game).map(task => TaskKeys.numberOf(task.key) + 1));
+    }
+
+    // Give every task of `game` a unique key, in place. Tasks in `stored` (the game
+    // as last stored, or null) keep their stored key; the others keep theirs unless
+    // it is missing, taken or numbered below the stored counter, and then get the
+    // next number neither copy has used. `nextKeyNumber` is advanced past all of them.
+    static assign(game, stored) {
+        const storedKeys = {};
+        TaskKeys.allTasks(stored).forEach(task => {
+            if (task.key) storedKeys[task.id] = task.key;
+        });
+        const tasks = TaskKeys.allTasks(game).sort((a, b) =>
+            (storedKeys[b.id] ? 1 : 0) - (storedKeys[a.id] ? 1 : 0) || new Date(a.createdAt) - new Date(b.createdAt));
+
+        const storedNext = TaskKeys.nextNumber(stored);
+        let next = Math.max(TaskKeys.nextNumber(game), storedNext);
+        const taken = new Set();
+        tasks.forEach(task => {
+            if (storedKeys[task.id]) {
+                task.key = storedKeys[task.id];
+            } else if (!task.key || taken.has(task.key) || TaskKeys.numberOf(task.key) < storedNext) {
+                task.key = `${game.keyPrefix}-${next++}`;
+            }
+            taken.add(task.key);
+        });
+        game.nextKeyNumber = Math.max(next, TaskKeys.nextNumber(game));
+        return game;
+    }
+
+    // Escaped HTML with every key of a task in `tasksByKey` turned into a link to it
+    static linkify(html, tasksByKey) {
+        return html.replace(TASK_KEY_PATTERN, key => tasksByKey[key]
+            ? `<a href="#task-${encodeURIComponent(tasksByKey[key].id)}" class="task-key-link">${key}</a>`
+            : key);
+    }
+
+    static byKey(game) {
+        const tasks = {};
+        TaskKeys.allTasks(game).forEach(task => {
+            if (task.key) tasks[task.key] = task;
+        });
+        return tasks;
+    }
+}
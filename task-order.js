@@ -0,0 +1,152 @@
+// Task list order
+//
+// How the task list is sorted, and what it is grouped by: { sort, groupBy }.
+// Unlike views (see task-views.js) this is a personal choice and not part of
+// links: it is saved with the member's preferences, and in this browser for
+// people who have not said who they are.
+const TASK_SORTS = {
+    status: 'Status, then priority',
+    newest: 'Newest first',
+    oldest: 'Oldest first',
+    updated: 'Recently updated',
+    assignee: 'Assignee',
+    priority: 'Priority'
+};
+
+const TASK_GROUPS = {
+    none: 'No grouping',
+    status: 'Status',
+    assignee: 'Assignee',
+    priority: 'Priority',
+    category: 'Category'
+};
+
+const DEFAULT_TASK_LIST = { sort: 'status', groupBy: 'none' };
+const TASK_LIST_KEY = 'taskListOrder'; // this browser's choice, for people who have not said who they are
+
+// Priorities and urgencies, most pressing first
+const TASK_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+class TaskOrder {
+    // A choice with anything unknown (from a newer version, say) replaced by the default
+    static normalize(taskList) {
+        const choice = taskList || {};
+        return {
+            sort: TASK_SORTS[choice.sort] ? choice.sort : DEFAULT_TASK_LIST.sort,
+            groupBy: TASK_GROUPS[choice.groupBy] ? choice.groupBy : DEFAULT_TASK_LIST.groupBy
+        };
+    }
+
+    static fromBrowser() {
+        try {
+            return TaskOrder.normalize(JSON.parse(localStorage.getItem(TASK_LIST_KEY)));
+        } catch (error) {
+            return TaskOrder.normalize(null);
+        }
+    }
+
+    static saveToBrowser(taskList) {
+        localStorage.setItem(TASK_LIST_KEY, JSON.stringify(taskList));
+    }
+
+    // 0 for critical up to 3 for low; tasks without one come last
+    static level(value) {
+        const index = TASK_LEVELS.indexOf(value);
+        return index === -1 ? TASK_LEVELS.length : index;
+    }
+
+    static lastUpdate(task) {
+        return new Date(task.updatedAt || task.createdAt);
+    }
+
+    // A sorted copy of the tasks. `context` is { game, members }.
+    static sort(tasks, sort, context) {
+        const { game, members = [] } = context;
+        const newest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+        const byPriority = (a, b) => TaskOrder.level(a.priority) - TaskOrder.level(b.priority)
+            || TaskOrder.level(a.urgency) - TaskOrder.level(b.urgency);
+        // Workflow order with done tasks last, then priority, urgency and newest first
+        const byStatus = (a, b) => Workflow.rank(game, a.status) - Workflow.rank(game, b.status)
+            || byPriority(a, b)
+            || newest(a, b);
+        const assigneeName = task => {
+            const member = members.find(m => m.id === task.assignee);
+            return member ? member.name.toLowerCase() : null;
+        };
+
+        const comparators = {
+            status: byStatus,
+            newest: newest,
+            oldest: (a, b) => -newest(a, b),
+            updated: (a, b) => TaskOrder.lastUpdate(b) - TaskOrder.lastUpdate(a) || newest(a, b),
+            assignee: (a, b) => {
+                const [nameA, nameB] = [assigneeName(a), assigneeName(b)];
+                if (nameA !== nameB) {
+                    if (nameA === null) return 1;
+                    if (nameB === null) return -1;
+                    return nameA.localeCompare(nameB);
+                }
+                return byStatus(a, b);
+            },
+            priority: (a, b) => byPriority(a, b) || byStatus(a, b)
+        };
+        return [...tasks].sort(comparators[sort] || byStatus);
+    }
+
+    // Sorted tasks split into groups, in the order the groups are shown:
+    // [{ id, name, icon, color, done, tasks }]. Groups without tasks are left out,
+    // unless `includeEmpty` (for the columns of the board); groups for what no
+    // longer exists (former members, states removed from the workflow) always are.
+    static group(tasks, groupBy, context, includeEmpty = false) {
+        const { game, members = [] } = context;
+        let groups;
+
+        switch (groupBy) {
+            case 'status': {
+                const states = Workflow.of(game).states;
+                const removed = [...new Set(tasks.map(task => task.status))]
+                    .filter(status => !states.some(state => state.id === status))
+                    .map(status => ({ ...Workflow.state(game, status), leftover: true }));
+                groups = [...states, ...removed].map(state => ({
+                    id: state.id,
+                    name: state.name,
+                    icon: state.done ? 'fa-check-circle' : 'fa-circle',
+                    color: null,
+                    done: state.done,
+                    leftover: state.leftover || false
+                }));
+                return TaskOrder.fill(groups, tasks, task => task.status, includeEmpty);
+            }
+            case 'assignee': {
+                const named = [...members]
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .map(member => ({ id: member.id, name: member.name, icon: 'fa-user', color: null }));
+                groups = [
+                    ...named,
+                    { id: 'former', name: 'Former members', icon: 'fa-user-slash', color: null, leftover: true },
+                    { id: 'none', name: 'Unassigned', icon: 'fa-user-clock', color: null }
+                ];
+                const groupOf = task => !task.assignee ? 'none'
+                    : members.some(member => member.id === task.assignee) ? task.assignee : 'former';
+                return TaskOrder.fill(groups, tasks, groupOf, includeEmpty);
+            }
+            case 'priority':
+                groups = [
+                    ...TASK_LEVELS.map(level => ({ id: level, name: level[0].toUpperCase() + level.slice(1), icon: 'fa-flag', color: null })),
+                    { id: 'none', name: 'No priority', icon: 'fa-flag', color: null }
+                ];
+                return TaskOrder.fill(groups, tasks, task => TASK_LEVELS.includes(task.priority) ? task.priority : 'none', includeEmpty);
+            case 'category':
+                groups = Categories.of(game).map(category => ({ id: category.id, name: category.name, icon: category.icon, color: category.color }));
+                return TaskOrder.fill(groups, tasks, task => task.category, includeEmpty);
+            default:
+                return [{ id: 'all', name: 'All tasks', icon: null, color: null, tasks: tasks }];
+        }
+    }
+
+    static fill(groups, tasks, groupOf, includeEmpty) {
+        return groups
+            .map(group => ({ done: false, leftover: false, ...group, tasks: tasks.filter(task => groupOf(task) === group.id) }))
+            .filter(group => group.tasks.length > 0 || (includeEmpty && !group.leftover));
+    }
+}
@@ -0,0 +1,191 @@
+// Full-text task search
+//
+// A query is made of words, "quoted phrases" and field qualifiers, all of which
+// a task has to match:
+//   menu crash "save slot" assignee:philip priority:high,critical status:open
+//   cat:bug created:>2025-08-01 key:SMURF-12 has:media,unresolved
+// Words are looked up in the task's title, description, comments, completion
+// notes and deletion reasons, and a task's key finds the task. A leading `-` excludes tasks that match instead,
+// and a qualifier takes several values separated by commas.
+const SEARCH_QUALIFIERS = {
+    assignee: 'assignee',
+    priority: 'priority',
+    urgency: 'urgency',
+    status: 'status',
+    cat: 'category',
+    category: 'category',
+    created: 'created',
+    key: 'key',
+    has: 'has'
+};
+
+// Where words are looked for, and how the places are named when a match is hidden in a collapsed card
+const SEARCH_FIELDS = {
+    title: 'title',
+    description: 'description',
+    comments: 'comments',
+    completion: 'completion notes',
+    deletion: 'deletion reason'
+};
+
+class TaskSearch {
+    // { terms: [{ text, negate }], filters: [{ field, op, values, negate }], errors: [] }
+    static parse(query) {
+        const search = { terms: [], filters: [], errors: [] };
+        const tokens = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+
+        while ((match = tokens.exec(query || '')) !== null) {
+            const [token, minus, name, quoted, bare] = match;
+            const value = quoted !== undefined ? quoted : bare;
+            const negate = minus === '-';
+            const field = name ? SEARCH_QUALIFIERS[name.toLowerCase()] : null;
+
+            if (!field) {
+                const text = (negate ? token.slice(1) : token).replace(/"/g, '').trim();
+                if (text) search.terms.push({ text: text, negate: negate });
+                continue;
+            }
+            if (field === 'created') {
+                const date = /^(>=|<=|>|<|=)?(\d{4}-\d{2}-\d{2})$/.exec(value);
+                if (!date || isNaN(new Date(`${date[2]}T00:00:00`))) {
+                    search.errors.push(`"${token}": dates look like created:>2025-08-01`);
+                    continue;
+                }
+                search.filters.push({ field: field, op: date[1] || '=', values: [date[2]], negate: negate });
+                continue;
+            }
+            const values = value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+            if (values.length === 0) {
+                search.errors.push(`"${token}" needs a value`);
+                continue;
+            }
+            search.filters.push({ field: field, op: '=', values: values, negate: negate });
+        }
+        return search;
+    }
+
+    static isEmpty(search) {
+        return !search || (search.terms.length === 0 && search.filters.length === 0);
+    }
+
+    // The searchable text of a task, by field
+    static index(task) {
+        const deletions = (task.history || []).filter(event => event.type === 'deleted').map(event => event.reason);
+        return {
+            title: [task.title],
+            description: [task.description],
+            comments: (task.comments || []).map(comment => comment.text),
+            completion: [task.completionComment],
+            deletion: [task.deleteReason, ...deletions]
+        };
+    }
+
+    // The fields a task matched the words of the search in, or null if it does not
+    // match. `context` is { game, members, currentMember }, for the qualifiers.
+    static match(task, search, context) {
+        if (!search.filters.every(filter => TaskSearch.matchesFilter(task, filter, context) !== filter.negate)) {
+            return null;
+        }
+
+        const index = TaskSearch.index(task);
+        const fields = new Set();
+        for (const term of search.terms) {
+            const needle = term.text.toLowerCase();
+            // A task's key is only found whole, or every task would match its game's prefix
+            const found = Object.keys(index).filter(field =>
+                index[field].some(text => text && text.toLowerCase().includes(needle))
+                || (field === 'title' && (task.key || '').toLowerCase() === needle));
+            if (found.length > 0 === term.negate) return null;
+            found.forEach(field => fields.add(field));
+        }
+        return fields;
+    }
+
+    static matchesFilter(task, filter, context) {
+        const { game, members = [], currentMember = null } = context;
+        const values = filter.values;
+
+        switch (filter.field) {
+            case 'assignee':
+                return values.some(value => {
+                    if (value === 'none' || value === 'unassigned') return !task.assignee;
+                    if (value === 'me') return Boolean(currentMember && task.assignee === currentMember.id);
+                    const member = members.find(m => m.id === task.assignee);
+                    return Boolean(member) && (member.id.toLowerCase() === value || [member.name, member.githubLogin]
+                        .some(handle => handle && handle.toLowerCase().includes(value)));
+                });
+            case 'priority':
+            case 'urgency':
+                return values.some(value => (task[filter.field] || 'none') === value);
+            case 'status': {
+                const states = Workflow.of(game).states;
+                return values.some(value => {
+                    const named = states.filter(state => state.id.toLowerCase() === value || state.name.toLowerCase() === value);
+                    if (named.length > 0) return named.some(state => state.id === task.status);
+                    // Any done state, or any other, unless the workflow has a state of that name
+                    if (value === 'done') return Workflow.isDone(game, task.status);
+                    if (value === 'active') return !Workflow.isDone(game, task.status);
+                    return (task.status || '').toLowerCase() === value;
+                });
+            }
+            case 'category': {
+                const category = Categories.get(game, task.category);
+                return values.some(value => category.id.toLowerCase() === value || category.name.toLowerCase().startsWith(value));
+            }
+            case 'has':
+                return values.some(value => {
+                    if (value === 'media') return (task.mediaLinks || []).length > 0;
+                    if (value === 'comments') return (task.comments || []).length > 0;
+                    if (value === 'unresolved') {
+                        return (task.comments || []).some(comment => !comment.parentId && (comment.status || 'open') === 'open');
+                    }
+                    return false;
+                });
+            case 'key':
+                return values.some(value => (task.key || '').toLowerCase() === value);
+            case 'created': {
+                const created = new Date(task.createdAt);
+                const dayStart = new Date(`${values[0]}T00:00:00`);
+                const dayEnd = new Date(dayStart);
+                dayEnd.setDate(dayEnd.getDate() + 1);
+                switch (filter.op) {
+                    case '>': return created >= dayEnd;
+                    case '>=': return created >= dayStart;
+                    case '<': return created < dayStart;
+                    case '<=': return created < dayEnd;
+                    default: return created >= dayStart && created < dayEnd;
+                }
+            }
+            default:
+                return true;
+        }
+    }
+
+    // Escaped HTML with the searched words marked. Tags and entities are left
+    // alone, so this works on the output of formatText as well.
+    static highlight(html, search) {
+        const words = (search ? search.terms : [])
+            .filter(term => !term.negate)
+            .map(term => term.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+            .sort((a, b) => b.length - a.length)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (words.length === 0) return html;
+
+        const pattern = new RegExp(words.join('|'), 'gi');
+        return html.replace(/<[^>]*>|&[#\w]+;|[^<&]+|[<&]/g, part =>
+            /^[<&]/.test(part) ? part : part.replace(pattern, '<mark class="search-hit">$&</mark>'));
+    }
+
+    // At most `length` characters of a text, starting shortly before the first searched word in it
+    static excerpt(text, search, length) {
+        const lower = text.toLowerCase();
+        const positions = (search ? search.terms : [])
+            .filter(term => !term.negate)
+            .map(term => lower.indexOf(term.text.toLowerCase()))
+            .filter(position => position !== -1);
+        const first = positions.length > 0 ? Math.min(...positions) : 0;
+        const start = first + 20 > length ? first - 20 : 0;
+        return `${start > 0 ? '...' : ''}${text.substring(start, start + length)}${text.length > start + length ? '...' : ''}`;
+    }
+}
@@ -0,0 +1,112 @@
+// Task views
+//
+// A view is what the task list shows: the category picked in the sidebar, the
+// search (see task-search.js), the filters of the filter panel, and whether the
+// tasks are listed or laid out on a board (`board`: null, or one of BOARD_LAYOUTS).
+// The page keeps the view in its URL, so a link opens the same game listing the same tasks:
+//   game-design-review.html?game=<id>&category=bug&q=crash&status=open&media=1
+// Members can save views under a name in their preferences (see storage-adapters.js):
+//   { id, name, gameId, params }   `params` being the view's part of the URL
+const VIEW_FILTERS = {
+    assignee: '', // member id, or 'none'
+    priority: '', // a priority, or 'none'
+    urgency: '',
+    status: '', // workflow state id, or 'done' / 'active'
+    media: false, // only tasks with screenshots or videos
+    unresolved: false, // only tasks with unresolved comment threads
+    createdFrom: '', // YYYY-MM-DD, inclusive
+    createdTo: ''
+};
+
+// Boards the tasks can be laid out on: a column per status or per assignee, or
+// open tasks placed by priority (rows) and urgency (columns)
+const BOARD_LAYOUTS = {
+    status: 'Board by status',
+    assignee: 'Board by assignee',
+    matrix: 'Triage matrix'
+};
+
+// The URL parameter each part of a view is kept in
+const VIEW_PARAMS = {
+    board: 'board',
+    category: 'category',
+    query: 'q',
+    assignee: 'assignee',
+    priority: 'priority',
+    urgency: 'urgency',
+    status: 'status',
+    media: 'media',
+    unresolved: 'unresolved',
+    createdFrom: 'from',
+    createdTo: 'to'
+};
+
+class TaskViews {
+    // Every task, in every category
+    static empty() {
+        return { board: null, category: 'all', query: '', filters: { ...VIEW_FILTERS } };
+    }
+
+    // A view from URL parameters (URLSearchParams or a query string); anything missing is left empty
+    static fromParams(params) {
+        const values = typeof params === 'string' ? new URLSearchParams(params) : params;
+        const view = TaskViews.empty();
+        view.board = BOARD_LAYOUTS[values.get(VIEW_PARAMS.board)] ? values.get(VIEW_PARAMS.board) : null;
+        view.category = values.get(VIEW_PARAMS.category) || 'all';
+        view.query = values.get(VIEW_PARAMS.query) || '';
+        Object.keys(VIEW_FILTERS).forEach(filter => {
+            const value = values.get(VIEW_PARAMS[filter]);
+            if (typeof VIEW_FILTERS[filter] === 'boolean') {
+                view.filters[filter] = value === '1';
+            } else if (value) {
+                view.filters[filter] = value;
+            }
+        });
+        return view;
+    }
+
+    // The view as a query string, without the parts left empty
+    static toParams(view) {
+        const params = new URLSearchParams();
+        if (view.board) params.set(VIEW_PARAMS.board, view.board);
+        if (view.category && view.category !== 'all') params.set(VIEW_PARAMS.category, view.category);
+        if (view.query.trim()) params.set(VIEW_PARAMS.query, view.query.trim());
+        Object.keys(VIEW_FILTERS).forEach(filter => {
+            const value = view.filters[filter];
+            if (value === true) params.set(VIEW_PARAMS[filter], '1');
+            else if (value) params.set(VIEW_PARAMS[filter], value);
+        });
+        return params.toString();
+    }
+
+    // The page's URL for a view of a game, keeping `hash`
+    static url(gameId, view, hash = '') {
+        const params = TaskViews.toParams(view);
+        return `${window.location.pathname}?game=${encodeURIComponent(gameId)}${params ? `&${params}` : ''}${hash}`;
+    }
+
+    // How many filters of the panel are set
+    static activeCount(filters) {
+        return Object.keys(VIEW_FILTERS).filter(filter => filters[filter]).length;
+    }
+
+    // The panel's filters as search qualifiers (see TaskSearch.matchesFilter)
+    static searchFilters(filters) {
+        const search = [];
+        const add = (field, op, value) => search.push({ field: field, op: op, values: [value.toLowerCase()], negate: false });
+        ['assignee', 'priority', 'urgency', 'status'].forEach(field => {
+            if (filters[field]) add(field, '=', filters[field]);
+        });
+        if (filters.media) add('has', '=', 'media');
+        if (filters.unresolved) add('has', '=', 'unresolved');
+        if (filters.createdFrom) add('created', '>=', filters.createdFrom);
+        if (filters.createdTo) add('created', '<=', filters.createdTo);
+        return search;
+    }
+
+    // The saved view showing exactly this view of the game, if there is one
+    static find(views, gameId, view) {
+        const params = TaskViews.toParams(view);
+        return views.find(saved => saved.gameId === gameId && saved.params === params) || null;
+    }
+}
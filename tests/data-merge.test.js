@@ -0,0 +1,106 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The app's scripts are plain browser scripts: load them into one shared context
+const context = vm.createContext({});
+vm.runInContext(`${fs.readFileSync(path.join(__dirname, '..', 'data-merge.js'), 'utf8')}\nthis.DataMerger = DataMerger;`, context);
+const { DataMerger } = context;
+
+// Also turns the context's arrays and objects into this realm's, for deepStrictEqual
+const copy = value => JSON.parse(JSON.stringify(value));
+
+function baseGame() {
+    return {
+        id: 'g1',
+        name: 'Smurf',
+        issues: {
+            bug: [{ id: 't1', key: 'SMURF-1', title: 'Crash on start', category: 'bug', status: 'open', comments: [] }],
+            quest: []
+        },
+        deletedTasks: []
+    };
+}
+
+function allTasks(game) {
+    return [...Object.values(game.issues).flat(), ...game.deletedTasks];
+}
+
+test('moving a task while someone else comments on it keeps one task with both changes', () => {
+    const base = baseGame();
+
+    const local = copy(base);
+    const [task] = local.issues.bug.splice(0, 1);
+    local.issues.quest.push({ ...task, category: 'quest' });
+
+    const remote = copy(base);
+    remote.issues.bug[0].comments.push({ id: 'c1', text: 'Still happens' });
+
+    const { merged, conflicts } = copy(DataMerger.merge(base, local, remote));
+    assert.deepStrictEqual(conflicts, []);
+    assert.strictEqual(allTasks(merged).filter(t => t.id === 't1').length, 1);
+    assert.deepStrictEqual(merged.issues.bug, []);
+    assert.strictEqual(merged.issues.quest[0].category, 'quest');
+    assert.deepStrictEqual(merged.issues.quest[0].comments, [{ id: 'c1', text: 'Still happens' }]);
+});
+
+test('deleting a task while someone else comments on it keeps one deleted task with both changes', () => {
+    const base = baseGame();
+
+    const local = copy(base);
+    const [task] = local.issues.bug.splice(0, 1);
+    local.deletedTasks.push({ ...task, deletedAt: '2026-01-02T00:00:00.000Z', deletedBy: 'Ann', deleteReason: 'Duplicate' });
+
+    const remote = copy(base);
+    remote.issues.bug[0].comments.push({ id: 'c1', text: 'Still happens' });
+
+    const { merged, conflicts } = copy(DataMerger.merge(base, local, remote));
+    assert.deepStrictEqual(conflicts, []);
+    assert.strictEqual(allTasks(merged).filter(t => t.id === 't1').length, 1);
+    assert.deepStrictEqual(merged.issues.bug, []);
+    assert.strictEqual(merged.deletedTasks[0].deleteReason, 'Duplicate');
+    assert.deepStrictEqual(merged.deletedTasks[0].comments, [{ id: 'c1', text: 'Still happens' }]);
+});
+
+test('editing a task into another category while someone else edits it files one task under the new category', () => {
+    const base = baseGame();
+    base.issues.bug[0].history = [{ id: 'h1', type: 'created' }];
+
+    // What the task form does: change the fields, then move the task to the new category's list
+    const local = copy(base);
+    const [task] = local.issues.bug.splice(0, 1);
+    local.issues.quest.push({ ...task, title: 'Crash on quest start', category: 'quest', history: [...task.history, { id: 'h2', type: 'edited' }] });
+
+    const remote = copy(base);
+    remote.issues.bug[0].status = 'in-progress';
+    remote.issues.bug[0].history.push({ id: 'h3', type: 'status' });
+
+    const { merged, conflicts } = copy(DataMerger.merge(base, local, remote));
+    assert.deepStrictEqual(conflicts, []);
+    assert.deepStrictEqual(merged.issues.bug, []);
+    assert.strictEqual(merged.issues.quest.length, 1);
+    assert.strictEqual(merged.issues.quest[0].key, 'SMURF-1');
+    assert.strictEqual(merged.issues.quest[0].title, 'Crash on quest start');
+    assert.strictEqual(merged.issues.quest[0].status, 'in-progress');
+    assert.deepStrictEqual(merged.issues.quest[0].history.map(event => event.id).sort(), ['h1', 'h2', 'h3']);
+});
+
+test('when both sides move a task, the chosen category decides where it is filed', () => {
+    const base = baseGame();
+    base.issues.review = [];
+
+    const local = copy(base);
+    local.issues.quest.push({ ...local.issues.bug.pop(), category: 'quest' });
+    const remote = copy(base);
+    remote.issues.review.push({ ...remote.issues.bug.pop(), category: 'review' });
+
+    const { merged, conflicts } = DataMerger.merge(base, local, remote);
+    assert.strictEqual(conflicts.length, 1);
+
+    const resolved = copy(DataMerger.applyResolutions(merged, conflicts, ['remote']));
+    assert.deepStrictEqual(resolved.issues.quest, []);
+    assert.deepStrictEqual(resolved.issues.review.map(t => t.id), ['t1']);
+});
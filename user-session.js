@@ -0,0 +1,108 @@
+// Who is using Game Design Review
+//
+// People sign in with GitHub through the auth-* Netlify functions. The signed-in
+// GitHub account is matched to a team member by the member's `githubLogin`, and
+// that member is then used as the author of comments, completions and deletions.
+// Only team members can save; people the deployment allows (ALLOWED_GITHUB_LOGINS)
+// may add themselves with "Join team", anyone else is added by a team member.
+// Without sign-in (not configured, or another storage backend) people pick their
+// name from the team list as before.
+const USER_CACHE_KEY = 'gameReviewUser';
+
+class UserSession {
+    // { enabled, user, canJoin } where user is { id, login, name, avatarUrl } or null.
+    // The last answer is kept so the signed-in person is still known offline.
+    static async current() {
+        if (!UserSession.sessionPromise) {
+            UserSession.sessionPromise = fetch('/.netlify/functions/auth-session', { credentials: 'same-origin' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                    return response.json();
+                })
+                .then(session => {
+                    localStorage.setItem(USER_CACHE_KEY, JSON.stringify(session));
+                    return session;
+                })
+                .catch(error => {
+                    console.warn('Sign-in status unavailable, using the last known one:', error);
+                    return JSON.parse(localStorage.getItem(USER_CACHE_KEY) || '{"enabled":false,"user":null}');
+                });
+        }
+        return UserSession.sessionPromise;
+    }
+
+    // Go to GitHub to sign in, then come back to this page
+    static signIn() {
+        const returnTo = window.location.pathname + window.location.search;
+        window.location.href = `/.netlify/functions/auth-login?returnTo=${encodeURIComponent(returnTo)}`;
+    }
+
+    static async signOut() {
+        try {
+            await fetch('/.netlify/functions/auth-session', { method: 'DELETE', credentials: 'same-origin' });
+        } catch (error) {
+            console.error('Error signing out:', error);
+        }
+        localStorage.removeItem(USER_CACHE_KEY);
+        window.location.reload();
+    }
+
+    // The team member linked to a GitHub user, or null
+    static memberFor(user, members) {
+        if (!user) return null;
+        const login = user.login.toLowerCase();
+        return members.find(member => member.githubLogin && member.githubLogin.toLowerCase() === login) || null;
+    }
+
+    // Header widget: sign-in button, or who is signed in with a sign-out button.
+    // `onJoin` is offered when the signed-in person isn't on the team yet and may join it.
+    static renderAccount(container, session, member, onJoin) {
+        if (!container) return;
+        if (!session.enabled) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const escapeHtml = text => {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        };
+
+        container.style.display = 'inline-flex';
+        if (!session.user) {
+            container.innerHTML = `
+                <button class="btn btn-secondary" data-account-action="sign-in">
+                    <i class="fab fa-github"></i> Sign in
+                </button>
+            `;
+        } else {
+            const user = session.user;
+            container.innerHTML = `
+                ${user.avatarUrl ? `<img class="account-avatar" src="${escapeHtml(user.avatarUrl)}" alt="">` : '<i class="fas fa-user-circle"></i>'}
+                <span class="account-name" title="Signed in with GitHub as @${escapeHtml(user.login)}">${escapeHtml(member ? member.name : user.name)}</span>
+                ${member ? '' : session.canJoin ? `
+                    <button class="btn btn-secondary" data-account-action="join" title="Add yourself to the team so your changes are attributed to you">
+                        <i class="fas fa-user-plus"></i> Join team
+                    </button>
+                ` : `
+                    <span class="account-name" title="Ask a team member to add @${escapeHtml(user.login)} to the team to save changes">
+                        <i class="fas fa-eye"></i> View only
+                    </span>
+                `}
+                <button class="btn btn-secondary" data-account-action="sign-out" title="Sign out">
+                    <i class="fas fa-sign-out-alt"></i>
+                </button>
+            `;
+        }
+
+        const actions = {
+            'sign-in': () => UserSession.signIn(),
+            'sign-out': () => UserSession.signOut(),
+            'join': onJoin
+        };
+        container.querySelectorAll('[data-account-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.dataset.accountAction]());
+        });
+    }
+}
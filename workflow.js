@@ -0,0 +1,46 @@
+// Task workflows
+//
+// Each game defines the states its tasks move through in `game.workflow`:
+//   { initial, states: [{ id, name, done }], transitions: [{ from, to, name }] }
+// States marked `done` count as completed in statistics, and a task's action
+// buttons are the transitions allowed from its current state.
+class Workflow {
+    static of(game) {
+        return (game && game.workflow) || DEFAULT_WORKFLOW;
+    }
+
+    // A state by id. Statuses no longer in the workflow still display, as not done.
+    static state(game, id) {
+        return Workflow.of(game).states.find(state => state.id === id) || { id: id, name: id, done: false };
+    }
+
+    static isDone(game, status) {
+        return Workflow.state(game, status).done;
+    }
+
+    // Moves allowed from a status. A task left in a state that was removed can go back to the start.
+    static transitionsFrom(game, status) {
+        const workflow = Workflow.of(game);
+        if (!workflow.states.some(state => state.id === status)) {
+            return [{ from: status, to: workflow.initial, name: `Move to ${Workflow.state(game, workflow.initial).name}` }];
+        }
+        return workflow.transitions.filter(transition => transition.from === status);
+    }
+
+    // Sort key: states in workflow order, with done states after all the others
+    static rank(game, status) {
+        const states = Workflow.of(game).states;
+        const position = states.findIndex(state => state.id === status);
+        return (Workflow.isDone(game, status) ? states.length : 0) + (position === -1 ? states.length : position);
+    }
+
+    // An id for a new state, from its name ("Needs Info" -> "needs-info")
+    static stateId(name, states) {
+        const base = name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'state';
+        let id = base;
+        for (let n = 2; states.some(state => state.id === id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+}